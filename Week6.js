@@ -38,9 +38,16 @@ const authenticate = (req, res, next) => {
   }
 };
 
-// Middleware: Authorize roles
-const authorize = (roles) => (req, res, next) => {
-  if (!roles.includes(req.user.role)) {
+// Roles map to named permissions (same model as index.js); routes check permissions, not roles
+const ROLE_PERMISSIONS = {
+  admin: ['user:delete'],
+  user: []
+};
+
+// Middleware: Authorize by permission
+const authorize = (permission) => (req, res, next) => {
+  const permissions = ROLE_PERMISSIONS[req.user.role] || [];
+  if (!permissions.includes(permission)) {
     return res.status(403).json({ error: "Forbidden" });
   }
   next();
@@ -95,7 +102,7 @@ app.post('/auth/login', async (req, res) => {
 });
 
 // Admin-only protected route to delete user by id
-app.delete('/admin/users/:id', authenticate, authorize(['admin']), async (req, res) => {
+app.delete('/admin/users/:id', authenticate, authorize('user:delete'), async (req, res) => {
     try {
       console.log("admin only");
       res.status(204).send("admin access");
@@ -2,45 +2,125 @@
 require('dotenv').config();
 
 const express = require('express');
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-app.use(express.json());
+// Keep the raw body so webhook signatures can be checked against exactly what was sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 let db;
+let mongoClient; // Kept for starting sessions (multi-document transactions)
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_default_jwt_secret_here'; 
 
-async function connectToMongoDB() {
+// `startJobs: false` skips the background sweeps (offers, scheduled rides, surge, document expiry), for tests
+async function connectToMongoDB({ startJobs = true } = {}) {
     const uri = process.env.MONGO_URI || "mongodb://localhost:27017";
     const client = new MongoClient(uri, { useUnifiedTopology: true });
 
     try {
         await client.connect();
         console.log("Connected to MongoDB!");
-        db = client.db("MyTaxiDB");
+        db = client.db(process.env.MONGO_DB_NAME || "MyTaxiDB");
+        mongoClient = client;
+
+        // Wallet, payment, promo, refund and payout writes use multi-document transactions (runTransaction),
+        // which MongoDB only supports on a replica set or sharded cluster. Atlas is one; a plain local mongod
+        // must be started as a single-node replica set (mongod --replSet rs0, then rs.initiate()).
+        const hello = await db.admin().command({ hello: 1 });
+        if (!hello.setName && hello.msg !== 'isdbgrid') {
+            console.error(`MongoDB at ${uri} is a standalone server, but this app needs transactions. ` +
+                "Run it as a replica set (mongod --replSet rs0, then rs.initiate() in mongosh) and add " +
+                "?replicaSet=rs0 to MONGO_URI, or point MONGO_URI at a replica set such as MongoDB Atlas.");
+            process.exit(1);
+        }
 
         await db.collection('customers').createIndex({ email: 1 }, { unique: true });
         await db.collection('drivers').createIndex({ email: 1 }, { unique: true });
+        await db.collection('drivers').createIndex({ Location: '2dsphere' }); // Nearest-driver dispatch
+        await db.collection('service_zones').createIndex({ Area: '2dsphere' });
+        await db.collection('vehicle_categories').createIndex({ Code: 1 }, { unique: true });
+        await db.collection('vehicles').createIndex({ PlateNumber: 1 }, { unique: true });
+        await db.collection('driver_documents').createIndex({ driverId: 1, Type: 1 }, { unique: true });
+        await db.collection('wallet_ledger').createIndex({ customerId: 1, createdAt: -1 });
+        await db.collection('driver_earnings').createIndex({ driverId: 1, createdAt: -1 });
+        await db.collection('customers').createIndex({ ReferralCode: 1 }, { unique: true, sparse: true });
+        await db.collection('promo_codes').createIndex({ Code: 1 }, { unique: true });
+        await db.collection('promo_redemptions').createIndex({ rideId: 1 });
+        await db.collection('ratings').createIndex({ rideId: 1 }, { unique: true });
+        // A fare quote books at most one ride. Partial rather than sparse: rides without a quote store QuoteId: null.
+        await db.collection('rides').createIndex(
+            { QuoteId: 1 },
+            { unique: true, partialFilterExpression: { QuoteId: { $type: 'string' } } }
+        );
+        await db.collection('auth_sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await db.collection('auth_sessions').createIndex({ userId: 1 });
+        await db.collection('verification_codes').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await db.collection('password_resets').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await db.collection('login_attempts').createIndex({ email: 1, at: -1 });
+        await db.collection('roles').createIndex({ Key: 1 }, { unique: true });
+        await db.collection('login_attempts').createIndex({ ip: 1, at: -1 });
+        await db.collection('idempotency_keys').createIndex({ createdAt: 1 }, { expireAfterSeconds: IDEMPOTENCY_KEY_TTL_SECONDS });
         console.log("Collections and indexes ensured.");
+        await backfillDriverDocumentClearance();
+        await migrateLegacyDriverEarnings();
+
+        if (startJobs) {
+            startOfferExpirySweep();
+            startScheduledRideDispatcher();
+            startSurgeRefresh();
+            startDocumentExpiryCheck();
+        }
     } catch (err) {
         console.error("Failed to connect to MongoDB:", err);
         process.exit(1);
     }
 }
 
-connectToMongoDB(); 
+async function closeMongoDB() {
+    if (mongoClient) {
+        await mongoClient.close();
+    }
+}
+
+// Only connect and listen when run directly (node index.js); tests require the module instead
+if (require.main === module) {
+    connectToMongoDB();
+}
+
+// Runs `work(session)` in a multi-document transaction and returns its result. Needs a replica set, which
+// connectToMongoDB checks at startup.
+// The driver retries `work` on transient errors, so it must only write through the session.
+async function runTransaction(work) {
+    const session = mongoClient.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
 
 // Test route
 app.get('/', (req, res) => {
     res.send("Hello World from MyTaxi backend!");
 });
 
-app.listen(port, () => {
-    console.log(`Server running on port ${port}`);
-});
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`Server running on port ${port}`);
+    });
+}
 
 // --- Middleware Functions for Authentication and Authorization ---
 
@@ -53,736 +133,6262 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ message: 'Authentication token required.' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
         if (err) {
             console.error("JWT verification error:", err);
             // If token is invalid or expired, return 403 Forbidden
             return res.status(403).json({ message: 'Invalid or expired token.' });
         }
-        req.user = user; // Attach decoded user payload (id, role) to the request
+        try {
+            // Every access token belongs to a session; once it is revoked (logout, admin revocation) it stops
+            // working. Tokens without one (e.g. fare quotes signed with the same secret) are not access tokens.
+            if (!user.sid || !ObjectId.isValid(user.sid)) {
+                return res.status(401).json({ message: 'Session token required. Please log in again.' });
+            }
+            const session = await db.collection('auth_sessions').findOne(
+                { _id: new ObjectId(user.sid), revokedAt: null },
+                { projection: { _id: 1 } }
+            );
+            if (!session) {
+                return res.status(401).json({ message: 'Session has ended. Please log in again.' });
+            }
+            // Blocks and suspensions apply at once, even to tokens issued before them
+            const account = await db.collection(USER_COLLECTIONS[user.role] || 'customers').findOne(
+                { _id: new ObjectId(user.id) },
+                { projection: { IsBlocked: 1, BlockReason: 1, SuspendedUntil: 1, SuspensionReason: 1, RoleKey: 1 } }
+            );
+            if (!account) {
+                return res.status(401).json({ message: 'Account no longer exists.' });
+            }
+            const restriction = accountRestriction(account);
+            if (restriction) {
+                return res.status(403).json(restriction);
+            }
+            req.permissions = await resolvePermissions(user.role, account);
+        } catch (error) {
+            console.error("Error checking session:", error);
+            return res.status(500).json({ message: 'Internal server error' });
+        }
+        req.user = user; // Attach decoded user payload (id, role, sid) to the request
         next(); // Proceed to the next middleware/route handler
     });
 }
 
-// Middleware for Role-Based Access Control (RBAC)
-function authorizeRoles(roles) {
+// --- Permissions ---
+
+// Routes check named permissions rather than roles. A permission ending in `:own` covers the caller's own
+// records only and `:any` covers everyone's; ownership policies decide what "own" means for a route.
+const PERMISSIONS = {
+    'customer:update:own': 'Update own customer profile',
+    'customer:update:any': 'Update any customer profile',
+    'referral:view:own': 'View own referral code and rewards',
+    'ride:book': 'Estimate, book and manage scheduled rides',
+    'ride:cancel:own': 'Cancel own rides as a customer',
+    'ride:reschedule:own': 'Reschedule own scheduled rides',
+    'ride:view:own': 'View own ride history as a customer',
+    'ride:rate:own': 'Rate own completed rides',
+    'ride:tip:own': 'Tip the driver of own completed rides',
+    'ride:drive:own': 'Accept, progress, cancel and view rides assigned to self as a driver',
+    'payment:pay:own': 'Pay for own rides',
+    'payment:confirm-cash:own': 'Confirm cash payments for own rides as a driver',
+    'wallet:manage:own': 'Top up and view own wallet',
+    'dispute:create:own': 'Open disputes on own rides',
+    'dispute:view:own': 'View own disputes',
+    'dispute:view:any': 'View any dispute',
+    'dispute:comment:own': 'Comment on own disputes',
+    'dispute:comment:any': 'Comment on any dispute',
+    'dispute:resolve': 'Change dispute status',
+    'dispute:refund': 'Refund a payment from a dispute',
+    'driver:update:own': 'Update own driver profile',
+    'driver:update:any': 'Update any driver profile, including zones, categories and status',
+    'driver:status:own': 'Set own availability and location',
+    'driver:rating:view': 'View driver ratings',
+    'vehicle:register:own': 'Register and list own vehicles',
+    'vehicle:manage': 'Manage vehicle categories and review vehicles',
+    'document:upload:own': 'Upload and list own onboarding documents',
+    'document:view:own': 'Download own onboarding documents',
+    'document:view:any': 'Download any driver document',
+    'document:review': 'Review driver documents and run the expiry check',
+    'earnings:view:own': 'View own earnings and statements',
+    'earnings:view:any': 'View any driver\'s earnings and statements',
+    'earnings:adjust': 'Post manual earnings adjustments',
+    'payout:manage': 'Create and view payout batches',
+    'user:view': 'List users and view moderation history',
+    'user:block': 'Block, unblock and suspend users',
+    'user:sessions:revoke': 'Revoke a user\'s login sessions',
+    'auth:lockout:manage': 'View and clear login lockouts',
+    'report:view': 'View reports, cancellation rates and wallet reconciliation',
+    'tariff:manage': 'Manage tariffs',
+    'promo:manage': 'Manage promo codes',
+    'surge:manage': 'Configure surge pricing',
+    'zone:manage': 'Manage service zones and driver zone approvals',
+    'role:manage': 'Create, change and assign staff roles'
+};
+
+// Built-in roles match the `role` claim in the token; admin accounts may be given a custom role (RoleKey)
+const ROLE_PERMISSIONS = {
+    customer: [
+        'customer:update:own', 'referral:view:own', 'ride:book', 'ride:cancel:own', 'ride:reschedule:own', 'ride:view:own',
+        'ride:rate:own', 'ride:tip:own', 'payment:pay:own', 'wallet:manage:own', 'dispute:create:own',
+        'dispute:view:own', 'dispute:comment:own', 'driver:rating:view'
+    ],
+    driver: [
+        'driver:update:own', 'driver:status:own', 'driver:rating:view', 'ride:drive:own',
+        'payment:confirm-cash:own', 'vehicle:register:own', 'document:upload:own', 'document:view:own',
+        'earnings:view:own'
+    ],
+    admin: [
+        'customer:update:any', 'driver:update:any', 'driver:rating:view', 'dispute:view:any',
+        'dispute:comment:any', 'dispute:resolve', 'dispute:refund', 'document:view:any', 'document:review',
+        'vehicle:manage', 'earnings:view:any', 'earnings:adjust', 'payout:manage', 'user:view', 'user:block',
+        'user:sessions:revoke', 'auth:lockout:manage', 'report:view', 'tariff:manage', 'promo:manage',
+        'surge:manage', 'zone:manage', 'role:manage'
+    ]
+};
+
+// Effective permissions for an authenticated account: its custom role's list, or its built-in role's
+async function resolvePermissions(role, account) {
+    if (role === 'admin' && account.RoleKey) {
+        const custom = await db.collection('roles').findOne({ Key: account.RoleKey }, { projection: { Permissions: 1 } });
+        return new Set(custom ? custom.Permissions : []);
+    }
+    return new Set(ROLE_PERMISSIONS[role] || []);
+}
+
+// Ownership policies: (req, record) => true when the record belongs to the caller
+function isSelf(param) {
+    return (req) => req.params[param] === req.user.id;
+}
+
+function ownsRecord(field) {
+    return (req, record) => Boolean(record && record[field] && record[field].toString() === req.user.id);
+}
+
+function hasPermission(req, permission) {
+    return Boolean(req.permissions && req.permissions.has(permission));
+}
+
+// True when the caller holds `${action}:any`, or `${action}:own` and the policy accepts the record
+function canAccess(req, action, policy, record) {
+    return hasPermission(req, `${action}:any`) || (hasPermission(req, `${action}:own`) && policy(req, record));
+}
+
+// Middleware: the caller needs at least one of the listed permissions
+function authorize(...permissions) {
     return (req, res, next) => {
-        // req.user must be set by authenticateToken first
-        if (!req.user || !roles.includes(req.user.role)) {
+        // req.permissions is set by authenticateToken
+        if (!permissions.some(permission => hasPermission(req, permission))) {
             return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
         }
-        next(); // User has required role, proceed
+        next();
     };
 }
 
-app.listen(port, () => {
-    console.log(`Server running on port ${port}`);
-});
+// Middleware for routes whose target is identified by the URL (e.g. /driver/:driverId)
+function authorizeScoped(action, policy) {
+    return (req, res, next) => {
+        if (canAccess(req, action, policy)) {
+            return next();
+        }
+        const message = hasPermission(req, `${action}:own`)
+            ? 'Access denied. You can only access your own records.'
+            : 'Access denied. Insufficient permissions.';
+        res.status(403).json({ message });
+    };
+}
 
-// --- Customer Use Cases ---
+// Validates a custom role from the admin API. Permissions must come from the admin set, so a custom role is
+// always a subset of admin powers. Returns { error } or { role }.
+function parseRoleInput(body, partial) {
+    const role = {};
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Role name must be a non-empty string.' };
+        }
+        role.Name = body.name.trim();
+    } else if (!partial) {
+        return { error: 'Role name is required.' };
+    }
+    if (!partial) {
+        const key = body.key !== undefined ? body.key : role.Name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        if (typeof key !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+            return { error: 'key must contain only lowercase letters, digits and dashes.' };
+        }
+        if (ROLE_PERMISSIONS[key]) {
+            return { error: `${key} is a built-in role.` };
+        }
+        role.Key = key;
+    }
+    if (body.description !== undefined) {
+        role.Description = body.description === null ? null : String(body.description).trim();
+    }
+    if (body.permissions !== undefined) {
+        if (!Array.isArray(body.permissions) || body.permissions.length === 0) {
+            return { error: 'permissions must be a non-empty array.' };
+        }
+        const unknown = body.permissions.filter(permission => !ROLE_PERMISSIONS.admin.includes(permission));
+        if (unknown.length > 0) {
+            return { error: `Permissions not available to staff roles: ${unknown.join(', ')}.` };
+        }
+        role.Permissions = [...new Set(body.permissions)];
+    } else if (!partial) {
+        return { error: 'permissions is required.' };
+    }
+    return { role };
+}
 
-// Use Case: Register
-// Endpoint: /customer/register
-// Method: POST
-app.post('/customer/register', async (req, res) => {
+// Staff cannot hand out powers they do not hold themselves
+function ungrantablePermissions(req, permissions) {
+    return permissions.filter(permission => !hasPermission(req, permission));
+}
+
+// --- Authentication Sessions ---
+
+// POST /auth/login issues a short-lived access token (JWT) and a refresh token. Each login is a session in
+// auth_sessions; the refresh token is "<sessionId>.<secret>" and only a hash of the secret is stored.
+// Every refresh rotates the secret, and presenting an already-rotated secret revokes the session (token theft).
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const USER_COLLECTIONS = { customer: 'customers', driver: 'drivers', admin: 'admins' };
+
+// Secrets sent to users (refresh tokens, codes, reset tokens) are stored only as this hash
+function hashToken(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { id: user._id.toString(), role: user.role, sid: sessionId.toString() },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+// New access + refresh token pair for the session, storing the refresh secret's hash
+function issueTokenPair(user, sessionId) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return {
+        tokenHash: hashToken(secret),
+        tokens: {
+            accessToken: signAccessToken(user, sessionId),
+            refreshToken: `${sessionId}.${secret}`,
+            tokenType: 'Bearer',
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+        }
+    };
+}
+
+// Starts a session for a user who has just proven their password
+async function createAuthSession(user, req) {
+    const sessionId = new ObjectId();
+    const { tokenHash, tokens } = issueTokenPair(user, sessionId);
+    const now = new Date();
+    await db.collection('auth_sessions').insertOne({
+        _id: sessionId,
+        userId: user._id,
+        role: user.role,
+        tokenHash,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        revokedAt: null,
+        revokedReason: null,
+        userAgent: req.get('User-Agent') || null,
+        ip: req.ip
+    });
+    return tokens;
+}
+
+// Shared by the deprecated per-role login routes: same checks and session as POST /auth/login, with the
+// old response shape (`token` plus `<role>Id`) kept for existing clients
+async function legacyLogin(role, req, res, message) {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password are required.' });
+    }
+    const account = await db.collection(USER_COLLECTIONS[role]).findOne({ email });
+    if (!account || !await bcrypt.compare(password, account.password)) {
+        return res.status(401).json({ message: 'Invalid email or password.' });
+    }
+    const restriction = accountRestriction(account);
+    if (restriction) {
+        return res.status(403).json(restriction);
+    }
+    const user = { ...account, role: account.role || role };
+    const tokens = await createAuthSession(user, req);
+    res.status(200).json({ message, token: tokens.accessToken, ...tokens, [`${role}Id`]: user._id, role: user.role });
+}
+
+// Revokes one session (by id) or every open session of a user. Returns how many were revoked.
+async function revokeAuthSessions(filter, reason) {
+    const result = await db.collection('auth_sessions').updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+}
+
+// Why an account may not use the API right now (blocked, or suspended until a future time), or null
+function accountRestriction(account) {
+    if (account.IsBlocked) {
+        return { message: 'This account has been blocked.', reason: account.BlockReason || null };
+    }
+    if (account.SuspendedUntil && account.SuspendedUntil > new Date()) {
+        return {
+            message: `This account is suspended until ${account.SuspendedUntil.toISOString()}.`,
+            reason: account.SuspensionReason || null,
+            suspendedUntil: account.SuspendedUntil
+        };
+    }
+    return null;
+}
+
+async function findUserAccount(role, id) {
+    const collection = USER_COLLECTIONS[role];
+    return collection ? db.collection(collection).findOne({ _id: id }) : null;
+}
+
+// --- Login Rate Limiting ---
+
+// Auth endpoints are throttled per client IP (attempts per window) and per account (consecutive failed
+// logins lead to a lockout that doubles each time, up to LOGIN_LOCKOUT_MAX_SECONDS). Counters live in a
+// store with async get/set/delete/list so a shared store (e.g. Redis) can replace the in-process one.
+const LOGIN_IP_WINDOW_SECONDS = Number(process.env.LOGIN_IP_WINDOW_SECONDS) || 15 * 60;
+const LOGIN_IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 30;
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_BASE_SECONDS = Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+const LOGIN_ACCOUNT_STATE_TTL_MS = 24 * 60 * 60 * 1000; // Failure history is forgotten after a quiet day
+
+// In-process store: entries expire after their ttl and are pruned periodically
+function createMemoryRateLimitStore() {
+    const entries = new Map();
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+    setInterval(() => {
+        for (const key of entries.keys()) live(key);
+    }, 60 * 1000).unref();
+    return {
+        async get(key) {
+            const entry = live(key);
+            return entry ? entry.value : null;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        async delete(key) {
+            return entries.delete(key);
+        },
+        async list(prefix) {
+            return [...entries.keys()]
+                .filter(key => key.startsWith(prefix) && live(key))
+                .map(key => ({ key, value: entries.get(key).value }));
+        }
+    };
+}
+
+const rateLimitStore = createMemoryRateLimitStore();
+
+function loginAccountKey(email) {
+    return `login:account:${String(email).trim().toLowerCase()}`;
+}
+
+function loginIpKey(ip) {
+    return `login:ip:${ip}`;
+}
+
+function sendTooManyAttempts(res, retryAfterMs, message) {
+    const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ message, retryAfterSeconds });
+}
+
+// Lockout after the n-th run of LOGIN_MAX_FAILURES failures: base, 2x base, 4x base... capped
+function lockoutDurationMs(lockouts) {
+    return Math.min(LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (lockouts - 1), LOGIN_LOCKOUT_MAX_SECONDS) * 1000;
+}
+
+// Updates the account's failure count after an attempt: success clears it, a failure may start a lockout
+async function trackAccountAttempt(email, success) {
+    const key = loginAccountKey(email);
+    if (success) {
+        await rateLimitStore.delete(key);
+        return;
+    }
+    const state = await rateLimitStore.get(key) || { failures: 0, lockouts: 0, lockedUntil: null };
+    state.failures++;
+    if (state.failures >= LOGIN_MAX_FAILURES) {
+        state.lockouts++;
+        state.failures = 0;
+        state.lockedUntil = Date.now() + lockoutDurationMs(state.lockouts);
+    }
+    await rateLimitStore.set(key, state, LOGIN_ACCOUNT_STATE_TTL_MS);
+}
+
+// Middleware for auth endpoints. Refuses the request with 429 while the client IP is over its limit or the
+// account (body.email) is locked out. Once the response is sent the attempt is written to login_attempts;
+// for credential checks (`checksPassword`), a 401 counts as a failed login and a 2xx as a success.
+function loginRateLimit(scope, { checksPassword = true } = {}) {
+    return async (req, res, next) => {
+        try {
+            const now = Date.now();
+            const email = req.body && req.body.email ? String(req.body.email).trim().toLowerCase() : null;
+
+            const ipKey = loginIpKey(req.ip);
+            const ipState = await rateLimitStore.get(ipKey);
+            const window = ipState && ipState.windowStart + LOGIN_IP_WINDOW_SECONDS * 1000 > now
+                ? ipState
+                : { windowStart: now, attempts: 0 };
+            window.attempts++;
+            await rateLimitStore.set(ipKey, window, window.windowStart + LOGIN_IP_WINDOW_SECONDS * 1000 - now);
+
+            const recordAttempt = (outcome) => db.collection('login_attempts').insertOne({
+                scope,
+                email,
+                role: req.body && req.body.role ? req.body.role : null,
+                ip: req.ip,
+                userAgent: req.get('User-Agent') || null,
+                ...outcome,
+                at: new Date()
+            }).catch(err => console.error("Error recording login attempt:", err));
+
+            if (window.attempts > LOGIN_IP_MAX_ATTEMPTS) {
+                recordAttempt({ success: false, statusCode: 429, reason: 'IpRateLimited' });
+                return sendTooManyAttempts(res, window.windowStart + LOGIN_IP_WINDOW_SECONDS * 1000 - now,
+                    'Too many attempts from this network. Please try again later.');
+            }
+            if (email && checksPassword) {
+                const accountState = await rateLimitStore.get(loginAccountKey(email));
+                if (accountState && accountState.lockedUntil > now) {
+                    recordAttempt({ success: false, statusCode: 429, reason: 'AccountLocked' });
+                    return sendTooManyAttempts(res, accountState.lockedUntil - now,
+                        'Too many failed logins for this account. Please try again later or reset your password.');
+                }
+            }
+
+            res.on('finish', () => {
+                const success = res.statusCode < 300;
+                recordAttempt({
+                    success,
+                    statusCode: res.statusCode,
+                    reason: success ? null : res.statusCode === 401 ? 'InvalidCredentials' : 'Refused'
+                });
+                if (email && checksPassword && (success || res.statusCode === 401)) {
+                    trackAccountAttempt(email, success).catch(err => console.error("Error tracking login attempt:", err));
+                }
+            });
+            next();
+        } catch (error) {
+            console.error("Error applying login rate limit:", error);
+            res.status(500).json({ message: 'Internal server error' });
+        }
+    };
+}
+
+// --- Notifications ---
+
+// Transport for account messages (verification codes, password resets). The outbox transport appends each
+// message to a JSON-lines file and logs it, for development and tests; an email/SMS gateway can replace it
+// by implementing the same send({ channel, to, subject, text }).
+const NOTIFICATION_OUTBOX_FILE = process.env.NOTIFICATION_OUTBOX_FILE || path.join(__dirname, 'outbox', 'notifications.jsonl');
+
+function createOutboxNotifier({ file }) {
+    return {
+        async send({ channel, to, subject, text }) {
+            const message = { id: crypto.randomUUID(), channel, to, subject, text, at: new Date() };
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.appendFile(file, JSON.stringify(message) + '\n');
+            console.log(`[outbox] ${channel} to ${to}: ${subject}`);
+            return message.id;
+        }
+    };
+}
+
+const notifier = createOutboxNotifier({ file: NOTIFICATION_OUTBOX_FILE });
+
+// --- Account Verification & Password Reset ---
+
+const VERIFICATION_CODE_TTL_MINUTES = Number(process.env.VERIFICATION_CODE_TTL_MINUTES) || 15;
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// Account field holding each verifiable contact, and the flag set once it is proven
+const VERIFICATION_CHANNELS = {
+    email: { field: 'email', flag: 'EmailVerified' },
+    phone: { field: 'phone_no', flag: 'PhoneVerified' }
+};
+
+// Sends a fresh 6-digit code to the account's email or phone. Earlier unused codes for that channel stop working.
+async function sendVerificationCode(role, account, channel) {
+    const destination = account[VERIFICATION_CHANNELS[channel].field];
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const now = new Date();
+    await db.collection('verification_codes').updateMany(
+        { userId: account._id, role, channel, usedAt: null },
+        { $set: { usedAt: now, supersededAt: now } }
+    );
+    await db.collection('verification_codes').insertOne({
+        userId: account._id,
+        role,
+        channel,
+        destination,
+        codeHash: hashToken(code),
+        attempts: 0,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + VERIFICATION_CODE_TTL_MINUTES * 60 * 1000),
+        usedAt: null
+    });
+    await notifier.send({
+        channel: channel === 'phone' ? 'sms' : 'email',
+        to: destination,
+        subject: 'Your verification code',
+        text: `Your MyTaxi verification code is ${code}. It expires in ${VERIFICATION_CODE_TTL_MINUTES} minutes.`
+    });
+}
+
+// Sends both verification codes to a newly registered account. Failures are logged; codes can be re-requested.
+function sendRegistrationCodes(role, account) {
+    Promise.all(Object.keys(VERIFICATION_CHANNELS).map(channel => sendVerificationCode(role, account, channel)))
+        .catch(err => console.error("Error sending verification codes:", err));
+}
+
+// Contacts still to be verified before the account may book rides or go Available (empty when fully verified)
+function unverifiedChannels(account) {
+    return Object.entries(VERIFICATION_CHANNELS)
+        .filter(([, { flag }]) => !account[flag])
+        .map(([channel]) => channel);
+}
+
+// Loads the caller's account and sends a 403 if it is not fully verified. Returns true when it may proceed.
+async function requireVerifiedAccount(req, res, action) {
+    const account = await db.collection(USER_COLLECTIONS[req.user.role]).findOne(
+        { _id: new ObjectId(req.user.id) },
+        { projection: { EmailVerified: 1, PhoneVerified: 1 } }
+    );
+    const missing = account ? unverifiedChannels(account) : Object.keys(VERIFICATION_CHANNELS);
+    if (missing.length > 0) {
+        res.status(403).json({
+            message: `Verify your ${missing.join(' and ')} before you can ${action}.`,
+            unverified: missing
+        });
+        return false;
+    }
+    return true;
+}
+
+// --- Ride Lifecycle (State Machine) ---
+
+// Allowed ride status transitions. Anything not listed here is rejected with 409 Conflict.
+// Pending -> Accepted -> DriverArrived -> Started -> Completed, with Cancelled reachable from any non-final state.
+// Advance bookings start as Scheduled and move to Pending when the scheduler dispatches them.
+const RIDE_TRANSITIONS = {
+    Scheduled: ['Pending', 'Cancelled'],
+    Pending: ['Accepted', 'Cancelled'],
+    Accepted: ['DriverArrived', 'Cancelled'],
+    DriverArrived: ['Started', 'Cancelled'],
+    Started: ['Completed', 'Cancelled'],
+    Completed: [],
+    Cancelled: []
+};
+
+function canTransitionRide(fromStatus, toStatus) {
+    return (RIDE_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Builds a statusHistory entry recording who moved the ride and when
+function rideHistoryEntry(fromStatus, toStatus, actor, note) {
+    const entry = { from: fromStatus, to: toStatus, at: new Date() };
+    if (actor) {
+        entry.by = { role: actor.role, id: actor.id };
+    }
+    if (note) {
+        entry.note = note;
+    }
+    return entry;
+}
+
+// Moves a ride to a new status and appends the change to its statusHistory.
+// The update only matches while the ride is still in the status we read (plus any extra `filter`),
+// so two concurrent requests cannot both apply a transition. `set` holds other fields to update alongside.
+// Pass `session` to run inside a transaction; `publish: false` leaves the ride event to the caller (e.g. after commit).
+// Returns { ok, status, message } for the route to send.
+async function transitionRide(ride, toStatus, actor, { set = {}, filter = {}, note, session, publish = true } = {}) {
+    if (!canTransitionRide(ride.Status, toStatus)) {
+        return { ok: false, status: 409, message: `Ride cannot move from ${ride.Status} to ${toStatus}.` };
+    }
+
+    const entry = rideHistoryEntry(ride.Status, toStatus, actor, note);
+    const result = await db.collection('rides').updateOne(
+        { _id: ride._id, Status: ride.Status, ...filter },
+        { $set: { Status: toStatus, ...set }, $push: { statusHistory: entry } },
+        { session }
+    );
+    if (result.matchedCount === 0) {
+        return { ok: false, status: 409, message: 'Ride status changed in the meantime. Please retry.' };
+    }
+
+    if (publish) {
+        publishRideEvent({ ...ride, driverId: set.driverId || ride.driverId }, 'ride.status', {
+            status: toStatus,
+            previousStatus: ride.Status
+        });
+    }
+    return { ok: true, status: 200, entry };
+}
+
+// --- Fare Engine ---
+
+// Known places that customers can book by name. Coordinates are [lat, lng].
+const KNOWN_LOCATIONS = {
+    'Dato Keramat': [3.1655, 101.7310],
+    'KLCC': [3.1579, 101.7116],
+    'Bukit Bintang': [3.1466, 101.7113],
+    'Bukit Jalil': [3.0580, 101.6920],
+    'Cheras': [3.1068, 101.7260],
+    'Damansara': [3.1370, 101.6250],
+    'KL Sentral': [3.1340, 101.6862],
+    'Petaling Jaya': [3.1073, 101.6067],
+    'Subang Jaya': [3.0470, 101.5850],
+    'Shah Alam': [3.0733, 101.5185],
+    'Putrajaya': [2.9264, 101.6964],
+    'KLIA': [2.7456, 101.7099]
+};
+
+// Road distances (km) and typical driving times (minutes) between known places.
+// Stands in for a routing service; pairs not listed fall back to a straight-line estimate.
+const DISTANCE_TABLE = {
+    'Dato Keramat|KLCC': { distanceKm: 3.4, durationMin: 11 },
+    'Dato Keramat|Bukit Bintang': { distanceKm: 4.6, durationMin: 14 },
+    'Dato Keramat|Bukit Jalil': { distanceKm: 17.8, durationMin: 28 },
+    'Dato Keramat|Cheras': { distanceKm: 9.7, durationMin: 20 },
+    'Dato Keramat|Damansara': { distanceKm: 15.2, durationMin: 26 },
+    'KLCC|KL Sentral': { distanceKm: 5.1, durationMin: 15 },
+    'KLCC|KLIA': { distanceKm: 57.6, durationMin: 55 },
+    'KL Sentral|KLIA': { distanceKm: 55.3, durationMin: 50 },
+    'KL Sentral|Petaling Jaya': { distanceKm: 9.9, durationMin: 18 },
+    'Putrajaya|KLIA': { distanceKm: 27.4, durationMin: 25 }
+};
+
+const ROAD_DISTANCE_FACTOR = 1.3; // Straight-line distance understates road distance
+const AVERAGE_SPEED_KMH = 30;
+
+// Fallback tariff when an admin has not configured one yet (amounts in RM)
+const DEFAULT_TARIFF = {
+    name: 'Default',
+    calculator: 'standard',
+    baseFare: 3.00,
+    perKm: 0.85,
+    perMinute: 0.25,
+    minimumFare: 6.00,
+    bookingFee: 1.00,
+    waitingPerMinute: 0.30, // Charged for time spent waiting at an intermediate stop...
+    freeWaitingMinutes: 3 // ...beyond this many minutes per stop
+};
+
+const TARIFF_AMOUNT_FIELDS = ['baseFare', 'perKm', 'perMinute', 'minimumFare', 'bookingFee'];
+// Added later, so tariffs created without them fall back to DEFAULT_TARIFF
+const TARIFF_OPTIONAL_AMOUNT_FIELDS = ['waitingPerMinute', 'freeWaitingMinutes'];
+const MAX_STOPS_PER_RIDE = 5;
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Accepts a known place name, or an object with lat/lng (and an optional name).
+// Returns { name, lat, lng } or null if the location cannot be placed on the map.
+function resolveLocation(location) {
+    if (typeof location === 'string') {
+        const coords = KNOWN_LOCATIONS[location.trim()];
+        return coords ? { name: location.trim(), lat: coords[0], lng: coords[1] } : null;
+    }
+    if (location && typeof location === 'object') {
+        const lat = Number(location.lat);
+        const lng = Number(location.lng);
+        if (Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+            return { name: location.name || `${lat},${lng}`, lat, lng };
+        }
+    }
+    return null;
+}
+
+// GeoJSON stores coordinates as [lng, lat]
+function toGeoPoint(location) {
+    return { type: 'Point', coordinates: [location.lng, location.lat] };
+}
+
+function haversineKm(from, to) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Route provider backed by DISTANCE_TABLE. A routing service can replace it by implementing getRoute(from, to).
+const localRouteProvider = {
+    async getRoute(from, to) {
+        const known = DISTANCE_TABLE[`${from.name}|${to.name}`] || DISTANCE_TABLE[`${to.name}|${from.name}`];
+        if (known) {
+            return { ...known, source: 'table' };
+        }
+        const distanceKm = haversineKm(from, to) * ROAD_DISTANCE_FACTOR;
+        return {
+            distanceKm: Math.round(distanceKm * 10) / 10,
+            durationMin: Math.ceil(distanceKm / AVERAGE_SPEED_KMH * 60),
+            source: 'estimate'
+        };
+    }
+};
+
+const routeProvider = localRouteProvider;
+
+// Fare calculators, selected by a tariff's `calculator` field
+const FARE_CALCULATORS = {
+    // Metered fare: base + distance + time, topped up to the minimum fare, plus the booking fee
+    standard(tariff, route) {
+        const distanceCharge = roundMoney(route.distanceKm * tariff.perKm);
+        const timeCharge = roundMoney(route.durationMin * tariff.perMinute);
+        const meteredFare = roundMoney(tariff.baseFare + distanceCharge + timeCharge);
+        const minimumFareAdjustment = roundMoney(Math.max(0, tariff.minimumFare - meteredFare));
+        return {
+            baseFare: tariff.baseFare,
+            distanceCharge,
+            timeCharge,
+            minimumFareAdjustment,
+            bookingFee: tariff.bookingFee,
+            total: roundMoney(meteredFare + minimumFareAdjustment + tariff.bookingFee)
+        };
+    }
+};
+
+// The tariff of the requested vehicle category, else the service zone's own tariff, else the active
+// admin-managed tariff, or DEFAULT_TARIFF when none is configured. Fields missing from older tariffs are
+// filled in from DEFAULT_TARIFF.
+async function getActiveTariff(zone, category) {
+    const tariffId = (category && category.tariffId) || (zone && zone.tariffId);
+    const ownTariff = tariffId ? await db.collection('tariffs').findOne({ _id: tariffId }) : null;
+    const tariff = ownTariff || await db.collection('tariffs').findOne({ active: true }, { sort: { updatedAt: -1 } });
+    return tariff ? { ...DEFAULT_TARIFF, ...tariff } : DEFAULT_TARIFF;
+}
+
+// Routes pickup -> each stop in order -> destination, summing the legs
+async function getTripRoute(pickup, destination, stops = []) {
+    const points = [pickup, ...stops, destination];
+    const legs = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const leg = await routeProvider.getRoute(points[i], points[i + 1]);
+        legs.push({ from: points[i].name, to: points[i + 1].name, distanceKm: leg.distanceKm, durationMin: leg.durationMin });
+    }
+    return {
+        distanceKm: Math.round(legs.reduce((sum, leg) => sum + leg.distanceKm, 0) * 10) / 10,
+        durationMin: legs.reduce((sum, leg) => sum + leg.durationMin, 0),
+        legs
+    };
+}
+
+// Prices a trip between resolved locations, via any intermediate stops.
+// Returns the route and a breakdown whose `total` is the fare. Waiting at stops is added as it happens.
+// The pickup zone's surge multiplier applies to the metered fare, not the booking fee. Pickup's service
+// zone picks the tariff, and an airport surcharge applies once if the trip starts or ends in an airport zone.
+async function calculateFare(pickup, destination, stops = [], { category = null } = {}) {
+    const pickupZone = await findServiceZone(pickup);
+    const destinationZone = await findServiceZone(destination);
+    const airportSurcharge = Math.max(
+        (pickupZone && pickupZone.AirportSurcharge) || 0,
+        (destinationZone && destinationZone.AirportSurcharge) || 0
+    );
+    const tariff = await getActiveTariff(pickupZone, category);
+    const route = await getTripRoute(pickup, destination, stops);
+    const calculator = FARE_CALCULATORS[tariff.calculator] || FARE_CALCULATORS.standard;
+    const fare = calculator(tariff, route);
+    const surge = getSurgeMultiplier(pickup);
+    const surgeCharge = roundMoney((fare.total - fare.bookingFee) * (surge.multiplier - 1));
+    const breakdown = {
+        rideType: category ? category.Code : null,
+        tariffId: tariff._id || null,
+        tariffName: tariff.name,
+        distanceKm: route.distanceKm,
+        durationMin: route.durationMin,
+        legs: route.legs,
+        waitingPerMinute: tariff.waitingPerMinute,
+        freeWaitingMinutes: tariff.freeWaitingMinutes,
+        waitingCharge: 0,
+        ...fare,
+        surgeZone: surge.zone,
+        surgeMultiplier: surge.multiplier,
+        surgeCharge,
+        serviceZone: pickupZone ? pickupZone.Name : null,
+        airportSurcharge,
+        total: roundMoney(fare.total + surgeCharge + airportSurcharge)
+    };
+    return { route, breakdown };
+}
+
+// Waiting charge for one stop, given when the driver arrived and left
+function calculateWaitingCharge(breakdown, arrivedAt, departedAt) {
+    const waitingMinutes = Math.max(0, (departedAt - arrivedAt) / 60000);
+    const chargeableMinutes = Math.max(0, Math.ceil(waitingMinutes) - breakdown.freeWaitingMinutes);
+    return {
+        waitingMinutes: Math.round(waitingMinutes * 10) / 10,
+        waitingCharge: roundMoney(chargeableMinutes * breakdown.waitingPerMinute)
+    };
+}
+
+// Validates tariff fields from an admin request. With `partial`, missing fields are allowed (for updates).
+// Returns { error } or { tariff } holding only the recognised fields.
+function parseTariffInput(body, partial) {
+    const tariff = {};
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Tariff name must be a non-empty string.' };
+        }
+        tariff.name = body.name.trim();
+    } else if (!partial) {
+        return { error: 'Tariff name is required.' };
+    }
+    if (body.calculator !== undefined) {
+        if (!FARE_CALCULATORS[body.calculator]) {
+            return { error: `Unknown fare calculator. Must be one of: ${Object.keys(FARE_CALCULATORS).join(', ')}.` };
+        }
+        tariff.calculator = body.calculator;
+    }
+    for (const field of [...TARIFF_AMOUNT_FIELDS, ...TARIFF_OPTIONAL_AMOUNT_FIELDS]) {
+        if (body[field] === undefined) {
+            if (!partial && TARIFF_AMOUNT_FIELDS.includes(field)) {
+                return { error: `${field} is required.` };
+            }
+            continue;
+        }
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            return { error: `${field} must be a non-negative number.` };
+        }
+        tariff[field] = value;
+    }
+    if (body.active !== undefined) {
+        tariff.active = Boolean(body.active);
+    }
+    return { tariff };
+}
+
+// Resolves the PickupLocation/Destination (and optional ordered Stops) payload shared by
+// /ride/estimate and /ride/book. Returns { error, details } or { pickup, destination, stops }.
+function resolveTripLocations(body) {
+    const { PickupLocation, Destination, Stops = [] } = body;
+    if (!PickupLocation || !Destination) {
+        return { error: 'Pickup Location and Destination are required.' };
+    }
+    if (!Array.isArray(Stops) || Stops.length > MAX_STOPS_PER_RIDE) {
+        return { error: `Stops must be a list of at most ${MAX_STOPS_PER_RIDE} locations.` };
+    }
+    const pickup = resolveLocation(PickupLocation);
+    const destination = resolveLocation(Destination);
+    const stops = Stops.map(resolveLocation);
+    if (!pickup || !destination || stops.includes(null)) {
+        return {
+            error: 'Unknown location. Use a known place name or provide { name, lat, lng }.',
+            details: { knownLocations: Object.keys(KNOWN_LOCATIONS) }
+        };
+    }
+    return { pickup, destination, stops };
+}
+
+// --- Service Zones ---
+
+// Admin-defined GeoJSON areas the service runs in (e.g. Klang Valley, KLIA). Once any zone exists,
+// pickups must fall inside an active one and only drivers approved for that zone are dispatched.
+// Where zones overlap, the one with the highest Priority wins (e.g. KLIA inside a wider region).
+const ZONE_GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Validates the zone payload for POST /admin/zones (partial = false) and PATCH (partial = true)
+function parseZoneInput(body, partial) {
+    const zone = {};
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Zone name must be a non-empty string.' };
+        }
+        zone.Name = body.name.trim();
+    } else if (!partial) {
+        return { error: 'Zone name is required.' };
+    }
+    if (body.area !== undefined) {
+        const area = body.area;
+        if (!area || !ZONE_GEOMETRY_TYPES.includes(area.type) || !Array.isArray(area.coordinates) || area.coordinates.length === 0) {
+            return { error: `area must be a GeoJSON ${ZONE_GEOMETRY_TYPES.join(' or ')}.` };
+        }
+        zone.Area = { type: area.type, coordinates: area.coordinates };
+    } else if (!partial) {
+        return { error: 'area (a GeoJSON Polygon or MultiPolygon) is required.' };
+    }
+    if (body.tariffId !== undefined) {
+        if (body.tariffId !== null && !ObjectId.isValid(body.tariffId)) {
+            return { error: 'tariffId must be a valid tariff ID or null.' };
+        }
+        zone.tariffId = body.tariffId ? new ObjectId(body.tariffId) : null;
+    }
+    for (const [field, stored] of [['airportSurcharge', 'AirportSurcharge'], ['priority', 'Priority']]) {
+        if (body[field] === undefined) continue;
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            return { error: `${field} must be a non-negative number.` };
+        }
+        zone[stored] = value;
+    }
+    if (body.active !== undefined) {
+        zone.Active = Boolean(body.active);
+    }
+    return { zone };
+}
+
+// The active zone containing a resolved location, or null
+async function findServiceZone(location) {
+    return db.collection('service_zones').findOne(
+        { Active: true, Area: { $geoIntersects: { $geometry: toGeoPoint(location) } } },
+        { sort: { Priority: -1 } }
+    );
+}
+
+// Checks a pickup is inside an active zone. Returns { zone } (null while no zones are defined) or { error, details }.
+async function resolvePickupZone(pickup) {
+    const zone = await findServiceZone(pickup);
+    if (zone) {
+        return { zone };
+    }
+    if (await db.collection('service_zones').countDocuments({}, { limit: 1 }) === 0) {
+        return { zone: null };
+    }
+    const activeZones = await db.collection('service_zones').find({ Active: true }, { projection: { Name: 1 } }).toArray();
+    return {
+        error: activeZones.length > 0
+            ? `Pickup location is outside our service area. We currently operate in: ${activeZones.map(z => z.Name).join(', ')}.`
+            : 'Rides are not available right now because no service zones are open.',
+        details: { serviceZones: activeZones.map(z => z.Name) }
+    };
+}
+
+// --- Vehicle Categories ---
+
+// Admin-managed ride types (Economy, Premium, 6-seater...). Each has a passenger Capacity, an optional
+// tariff and eligibility rules a vehicle must meet. Drivers register vehicles into a category and an admin
+// approves them; approved vehicles' categories are kept on the driver as ApprovedCategoryIds for dispatch.
+const VEHICLE_STATUSES = ['PendingApproval', 'Approved', 'Rejected'];
+
+// Validates the category payload for POST /admin/vehicle-categories (partial = false) and PATCH (partial = true)
+function parseVehicleCategoryInput(body, partial) {
+    const category = {};
+    if (body.code !== undefined) {
+        if (typeof body.code !== 'string' || !/^[a-z0-9-]{2,32}$/.test(body.code)) {
+            return { error: 'code must be 2-32 lowercase letters, digits or dashes (e.g. economy, six-seater).' };
+        }
+        category.Code = body.code;
+    } else if (!partial) {
+        return { error: 'code is required.' };
+    }
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'name must be a non-empty string.' };
+        }
+        category.Name = body.name.trim();
+    } else if (!partial) {
+        return { error: 'name is required.' };
+    }
+    if (body.capacity !== undefined) {
+        const capacity = Number(body.capacity);
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            return { error: 'capacity must be a positive whole number of passengers.' };
+        }
+        category.Capacity = capacity;
+    } else if (!partial) {
+        return { error: 'capacity is required.' };
+    }
+    if (body.maxVehicleAgeYears !== undefined) {
+        const maxAge = body.maxVehicleAgeYears === null ? null : Number(body.maxVehicleAgeYears);
+        if (maxAge !== null && (!Number.isFinite(maxAge) || maxAge < 0)) {
+            return { error: 'maxVehicleAgeYears must be a non-negative number or null.' };
+        }
+        category.MaxVehicleAgeYears = maxAge;
+    }
+    if (body.tariffId !== undefined) {
+        if (body.tariffId !== null && !ObjectId.isValid(body.tariffId)) {
+            return { error: 'tariffId must be a valid tariff ID or null.' };
+        }
+        category.tariffId = body.tariffId ? new ObjectId(body.tariffId) : null;
+    }
+    if (body.active !== undefined) {
+        category.Active = Boolean(body.active);
+    }
+    return { category };
+}
+
+// Why a vehicle cannot join a category, or null if it is eligible
+function vehicleIneligibility(vehicle, category) {
+    if (vehicle.Seats < category.Capacity) {
+        return `${category.Name} vehicles need at least ${category.Capacity} passenger seats.`;
+    }
+    const age = new Date().getFullYear() - vehicle.Year;
+    if (category.MaxVehicleAgeYears != null && age > category.MaxVehicleAgeYears) {
+        return `${category.Name} vehicles can be at most ${category.MaxVehicleAgeYears} years old.`;
+    }
+    return null;
+}
+
+// Resolves the requested rideType (a category code) and party size for /ride/estimate and /ride/book.
+// Returns { category, passengers } (each null when not asked for) or { status, error }.
+async function resolveRideType(body) {
+    // passengers is checked whether or not a ride type is given
+    const passengers = body.passengers !== undefined ? Number(body.passengers) : null;
+    if (passengers !== null && (!Number.isInteger(passengers) || passengers < 1)) {
+        return { status: 400, error: 'passengers must be a positive whole number.' };
+    }
+    if (!body.rideType) {
+        return { category: null, passengers };
+    }
+    const category = await db.collection('vehicle_categories').findOne({ Code: body.rideType, Active: true });
+    if (!category) {
+        const available = await db.collection('vehicle_categories').distinct('Code', { Active: true });
+        return { status: 400, error: `Unknown ride type. Available ride types: ${available.join(', ') || 'none'}.` };
+    }
+    if (passengers !== null && passengers > category.Capacity) {
+        return { status: 400, error: `${category.Name} seats up to ${category.Capacity} passengers.` };
+    }
+    return { category, passengers };
+}
+
+// Recomputes the driver's ApprovedCategoryIds from their approved vehicles
+async function syncDriverCategories(driverId) {
+    const categoryIds = await db.collection('vehicles').distinct('categoryId', { driverId, Status: 'Approved' });
+    await db.collection('drivers').updateOne({ _id: driverId }, { $set: { ApprovedCategoryIds: categoryIds } });
+}
+
+// --- Driver Onboarding Documents ---
+
+// Every driver needs each of these approved and in date before they can go Available
+const DRIVER_DOCUMENT_TYPES = {
+    licence: 'Driving licence',
+    roadTax: 'Road tax',
+    insurance: 'Insurance',
+    psv: 'PSV licence'
+};
+const DOCUMENT_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const DOCUMENT_MAX_BYTES = Number(process.env.DOCUMENT_MAX_BYTES) || 5 * 1024 * 1024;
+const DRIVER_DOCUMENT_DIR = process.env.DRIVER_DOCUMENT_DIR || path.join(__dirname, 'uploads', 'driver-documents');
+const DOCUMENT_EXPIRY_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Stores uploaded files on local disk. Another backend (S3, GCS...) can replace it by
+// implementing the same save(key, buffer) / read(key) / remove(key) methods.
+function createLocalDocumentStorage({ directory }) {
+    const fileFor = (key) => path.join(directory, key.replace(/[^A-Za-z0-9._-]/g, '_'));
+    return {
+        async save(key, buffer) {
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(fileFor(key), buffer);
+        },
+        async read(key) {
+            return fs.readFile(fileFor(key));
+        },
+        async remove(key) {
+            await fs.rm(fileFor(key), { force: true });
+        }
+    };
+}
+
+const documentStorage = createLocalDocumentStorage({ directory: DRIVER_DOCUMENT_DIR });
+
+// Where the driver stands on each required document. `cleared` is true only when all are approved and in date.
+async function driverDocumentStatus(driverId) {
+    const documents = await db.collection('driver_documents').find({ driverId }).toArray();
+    const now = new Date();
+    const outstanding = [];
+    for (const type of Object.keys(DRIVER_DOCUMENT_TYPES)) {
+        const document = documents.find(doc => doc.Type === type);
+        if (!document) {
+            outstanding.push({ type, problem: 'Missing' });
+        } else if (document.ExpiresAt <= now) {
+            outstanding.push({ type, problem: 'Expired' });
+        } else if (document.Status !== 'Approved') {
+            outstanding.push({ type, problem: document.Status });
+        }
+    }
+    return { cleared: outstanding.length === 0, outstanding, documents };
+}
+
+// Stores the driver's document clearance on the driver (DocumentsCleared), which dispatch filters on.
+// A driver who is no longer cleared (e.g. a document was replaced and awaits review) is taken off Available.
+async function syncDriverDocumentClearance(driverId) {
+    const status = await driverDocumentStatus(driverId);
+    await db.collection('drivers').updateOne({ _id: driverId }, { $set: { DocumentsCleared: status.cleared } });
+    if (!status.cleared) {
+        await db.collection('drivers').updateOne({ _id: driverId, Status: 'Available' }, { $set: { Status: 'Offline' } });
+    }
+    return status;
+}
+
+// One-off for drivers from before DocumentsCleared existed, so approved drivers keep being dispatched
+async function backfillDriverDocumentClearance() {
+    const drivers = await db.collection('drivers').find({ DocumentsCleared: { $exists: false } }, { projection: { _id: 1 } }).toArray();
+    for (const driver of drivers) {
+        await syncDriverDocumentClearance(driver._id);
+    }
+}
+
+// Marks approved documents past their expiry date as Expired and suspends their drivers from dispatch.
+// Suspended drivers go Offline and stay out of dispatch until replacement documents are approved.
+async function suspendDriversWithExpiredDocuments() {
+    const now = new Date();
+    const expired = await db.collection('driver_documents')
+        .find({ Status: 'Approved', ExpiresAt: { $lte: now } })
+        .toArray();
+    if (expired.length === 0) {
+        return { expiredDocuments: 0, suspendedDrivers: 0 };
+    }
+    await db.collection('driver_documents').updateMany(
+        { _id: { $in: expired.map(doc => doc._id) } },
+        { $set: { Status: 'Expired', updatedAt: now } }
+    );
+
+    const byDriver = new Map();
+    for (const document of expired) {
+        const key = document.driverId.toString();
+        byDriver.set(key, [...(byDriver.get(key) || []), document.Type]);
+    }
+    let suspendedDrivers = 0;
+    for (const [driverId, types] of byDriver) {
+        const suspension = { reason: 'DocumentsExpired', documents: types, at: now };
+        await db.collection('drivers').updateOne({ _id: new ObjectId(driverId) }, { $set: { DocumentsCleared: false } });
+        const result = await db.collection('drivers').updateOne(
+            { _id: new ObjectId(driverId), DocumentSuspension: null },
+            { $set: { DocumentSuspension: suspension } }
+        );
+        // A driver mid-trip finishes it; they just are not dispatched again
+        await db.collection('drivers').updateOne({ _id: new ObjectId(driverId), Status: 'Available' }, { $set: { Status: 'Offline' } });
+        if (result.modifiedCount > 0) {
+            suspendedDrivers++;
+            publishEvent([driverId], 'driver.suspended', suspension);
+        }
+    }
+    return { expiredDocuments: expired.length, suspendedDrivers };
+}
+
+function startDocumentExpiryCheck() {
+    const check = () => suspendDriversWithExpiredDocuments()
+        .then(result => {
+            if (result.suspendedDrivers > 0) {
+                console.log(`Suspended ${result.suspendedDrivers} driver(s) with expired documents.`);
+            }
+        })
+        .catch(err => console.error("Error checking driver document expiry:", err));
+    check();
+    setInterval(check, DOCUMENT_EXPIRY_CHECK_INTERVAL_MS);
+}
+
+// --- Dispatch ---
+
+const DISPATCH_RADIUS_METERS = Number(process.env.DISPATCH_RADIUS_METERS) || 5000;
+const DISPATCH_RETRY_AFTER_SECONDS = Number(process.env.DISPATCH_RETRY_AFTER_SECONDS) || 60;
+
+const OFFER_TIMEOUT_SECONDS = Number(process.env.OFFER_TIMEOUT_SECONDS) || 30;
+const MAX_OFFERS_PER_RIDE = Number(process.env.MAX_OFFERS_PER_RIDE) || 5;
+const OFFER_SWEEP_INTERVAL_MS = 5000;
+
+// Available, unblocked drivers without a document suspension within the dispatch radius of a GeoJSON point, nearest first.
+// Drivers in `excludeIds` (ObjectIds) are skipped. With a `zoneId`, only drivers approved for that service zone
+// qualify, and with a `categoryId` only drivers with an approved vehicle in that category.
+async function findNearestDrivers(point, { limit = 1, excludeIds = [], zoneId = null, categoryId = null } = {}) {
+    const filter = {
+        _id: { $nin: excludeIds },
+        Status: 'Available',
+        IsBlocked: { $ne: true },
+        DocumentsCleared: true, // Every required document approved and in date
+        DocumentSuspension: null,
+        $or: [{ SuspendedUntil: null }, { SuspendedUntil: { $lte: new Date() } }],
+        Location: {
+            $near: {
+                $geometry: point,
+                $maxDistance: DISPATCH_RADIUS_METERS
+            }
+        }
+    };
+    if (zoneId) {
+        filter.ApprovedZoneIds = zoneId;
+    }
+    if (categoryId) {
+        filter.ApprovedCategoryIds = categoryId;
+    }
+    return db.collection('drivers').find(filter).limit(limit).toArray();
+}
+
+// Drivers currently holding an unexpired offer on some ride. They are not offered a second ride meanwhile.
+async function driversWithOpenOffers() {
+    return db.collection('rides').distinct('currentOffer.driverId', {
+        Status: 'Pending',
+        'currentOffer.expiresAt': { $gt: new Date() }
+    });
+}
+
+// Picks the nearest driver who has not already been offered this ride and is not holding another offer.
+// `criteria` narrows the drivers considered (see findNearestDrivers).
+async function findNextCandidate(point, previousOffers = [], criteria = {}) {
+    const excludeIds = [...previousOffers.map(offer => offer.driverId), ...await driversWithOpenOffers()];
+    const [driver] = await findNearestDrivers(point, { ...criteria, excludeIds });
+    return driver || null;
+}
+
+// A new offer for the ride's offers trail. `index` is its position in that array.
+function buildRideOffer(driver, pickupPoint, index) {
+    const now = new Date();
+    const [lng, lat] = driver.Location.coordinates;
+    const [pickupLng, pickupLat] = pickupPoint.coordinates;
+    return {
+        index,
+        driverId: driver._id,
+        distanceKm: Math.round(haversineKm({ lat, lng }, { lat: pickupLat, lng: pickupLng }) * 10) / 10,
+        offeredAt: now,
+        expiresAt: new Date(now.getTime() + OFFER_TIMEOUT_SECONDS * 1000),
+        outcome: 'Offered' // Offered, Accepted, Declined, Expired, Withdrawn
+    };
+}
+
+// Lets the offered driver know about the ride without polling /driver/offers
+function publishRideOffer(ride, offer) {
+    publishEvent([offer.driverId], 'ride.offer', {
+        rideId: ride._id,
+        PickupLocation: ride.PickupLocation,
+        Destination: ride.Destination,
+        Fare: ride.Fare,
+        expiresAt: offer.expiresAt
+    });
+}
+
+function holdsCurrentOffer(ride, driverId) {
+    return Boolean(ride.currentOffer) &&
+        ride.currentOffer.driverId.toString() === driverId &&
+        ride.currentOffer.expiresAt > new Date();
+}
+
+// Fields that close the ride's current offer with the given outcome
+function closeOfferSet(ride, outcome) {
+    const index = ride.currentOffer.index;
+    return {
+        currentOffer: null,
+        [`offers.${index}.outcome`]: outcome,
+        [`offers.${index}.respondedAt`]: new Date()
+    };
+}
+
+// Offers a pending ride to the next-best driver. When nobody is left (or the ride has been offered
+// MAX_OFFERS_PER_RIDE times) the ride is cancelled so the customer is not left waiting.
+async function offerRideToNextDriver(ride) {
+    const offers = ride.offers || [];
+    const criteria = { zoneId: ride.ZoneId, categoryId: ride.VehicleCategoryId };
+    const driver = offers.length < MAX_OFFERS_PER_RIDE ? await findNextCandidate(ride.PickupPoint, offers, criteria) : null;
+    // A scheduled ride keeps waiting for a driver until its pickup time; the scheduler retries it
+    if (!driver && offers.length < MAX_OFFERS_PER_RIDE && ride.ScheduledFor && ride.ScheduledFor > new Date()) {
+        return null;
+    }
+    if (!driver) {
+        const transition = await transitionRide(ride, 'Cancelled', null, {
+            set: { CancellationReason: 'NoDriverAccepted' },
+            filter: { currentOffer: null },
+            note: 'No driver accepted the ride'
+        });
+        if (transition.ok) {
+            await releaseCancelledRideHold(ride);
+            await releaseRidePromo(ride);
+        }
+        return null;
+    }
+
+    const offer = buildRideOffer(driver, ride.PickupPoint, offers.length);
+    const result = await db.collection('rides').updateOne(
+        { _id: ride._id, Status: 'Pending', currentOffer: null },
+        { $set: { currentOffer: offer }, $push: { offers: offer } }
+    );
+    if (result.matchedCount === 0) {
+        return null;
+    }
+    publishRideOffer(ride, offer);
+    return offer;
+}
+
+// Closes the ride's current offer (declined or expired) and passes the ride on to the next driver.
+// The update only matches the offer we read, so a late accept and an expiry cannot both win.
+async function closeOfferAndRedispatch(ride, outcome) {
+    const result = await db.collection('rides').updateOne(
+        { _id: ride._id, Status: 'Pending', 'currentOffer.index': ride.currentOffer.index },
+        { $set: closeOfferSet(ride, outcome) }
+    );
+    if (result.matchedCount === 0) {
+        return false;
+    }
+    const updatedRide = await db.collection('rides').findOne({ _id: ride._id });
+    await offerRideToNextDriver(updatedRide);
+    return true;
+}
+
+// Background job: expire offers the driver has not answered in time and re-dispatch those rides
+async function expireStaleOffers() {
+    const staleRides = await db.collection('rides').find({
+        Status: 'Pending',
+        'currentOffer.expiresAt': { $lte: new Date() }
+    }).toArray();
+    for (const ride of staleRides) {
+        await closeOfferAndRedispatch(ride, 'Expired');
+    }
+}
+
+function startOfferExpirySweep() {
+    setInterval(() => {
+        expireStaleOffers().catch(err => console.error("Error expiring ride offers:", err));
+    }, OFFER_SWEEP_INTERVAL_MS);
+}
+
+// --- Scheduled Rides ---
+
+const SCHEDULE_MIN_ADVANCE_MINUTES = Number(process.env.SCHEDULE_MIN_ADVANCE_MINUTES) || 30;
+const SCHEDULE_MAX_ADVANCE_DAYS = Number(process.env.SCHEDULE_MAX_ADVANCE_DAYS) || 30;
+// How long before pickup the scheduler starts offering the ride to drivers
+const SCHEDULED_DISPATCH_LEAD_MINUTES = Number(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES) || 15;
+const SCHEDULE_SWEEP_INTERVAL_MS = 30000;
+
+// Validates a requested pickup time. Returns { error } or { scheduledFor } as a Date.
+function parseScheduledFor(value) {
+    const scheduledFor = new Date(value);
+    if (Number.isNaN(scheduledFor.getTime())) {
+        return { error: 'scheduledFor must be a valid date-time, e.g. 2025-07-01T08:30:00+08:00.' };
+    }
+    const now = Date.now();
+    if (scheduledFor.getTime() < now + SCHEDULE_MIN_ADVANCE_MINUTES * 60 * 1000) {
+        return { error: `Scheduled rides must be booked at least ${SCHEDULE_MIN_ADVANCE_MINUTES} minutes ahead.` };
+    }
+    if (scheduledFor.getTime() > now + SCHEDULE_MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Scheduled rides can be booked at most ${SCHEDULE_MAX_ADVANCE_DAYS} days ahead.` };
+    }
+    return { scheduledFor };
+}
+
+// Background job: start dispatch for scheduled rides whose pickup is within the lead time,
+// and retry scheduled rides that are still waiting for a driver to be found
+async function dispatchDueScheduledRides() {
+    const dispatchBefore = new Date(Date.now() + SCHEDULED_DISPATCH_LEAD_MINUTES * 60 * 1000);
+    const dueRides = await db.collection('rides').find({
+        Status: 'Scheduled',
+        ScheduledFor: { $lte: dispatchBefore }
+    }).toArray();
+    for (const ride of dueRides) {
+        const transition = await transitionRide(ride, 'Pending', null, { note: 'Scheduled dispatch started' });
+        if (transition.ok) {
+            await offerRideToNextDriver({ ...ride, Status: 'Pending' });
+        }
+    }
+
+    const waitingRides = await db.collection('rides').find({
+        Status: 'Pending',
+        ScheduledFor: { $ne: null },
+        currentOffer: null
+    }).toArray();
+    for (const ride of waitingRides) {
+        await offerRideToNextDriver(ride);
+    }
+}
+
+function startScheduledRideDispatcher() {
+    setInterval(() => {
+        dispatchDueScheduledRides().catch(err => console.error("Error dispatching scheduled rides:", err));
+    }, SCHEDULE_SWEEP_INTERVAL_MS);
+}
+
+// Sends the 503 returned when no driver is in range, with a hint for when to try again
+function sendNoDriversAvailable(res) {
+    res.set('Retry-After', String(DISPATCH_RETRY_AFTER_SECONDS));
+    return res.status(503).json({
+        message: `No drivers available within ${DISPATCH_RADIUS_METERS / 1000} km of your pickup. Please try again shortly.`,
+        retryAfterSeconds: DISPATCH_RETRY_AFTER_SECONDS
+    });
+}
+
+// --- Surge Pricing ---
+
+// Surge zones are a grid of SURGE_ZONE_SIZE_DEGREES cells (0.05 deg is roughly 5.5 km).
+// Every SURGE_REFRESH_SECONDS the pending rides and available drivers in each cell are counted;
+// once demand outstrips supply the fare is multiplied by up to the admin-set ceiling.
+const SURGE_ZONE_SIZE_DEGREES = Number(process.env.SURGE_ZONE_SIZE_DEGREES) || 0.05;
+const SURGE_REFRESH_SECONDS = Number(process.env.SURGE_REFRESH_SECONDS) || 60;
+const SURGE_STEP_PER_RATIO = 0.5; // Multiplier added per extra pending ride per available driver
+const DEFAULT_SURGE_SETTINGS = { enabled: true, maxMultiplier: 2.0 };
+
+let surgeSettings = DEFAULT_SURGE_SETTINGS;
+let surgeZones = new Map(); // zone key -> { pendingRides, availableDrivers, multiplier }
+let surgeRefreshedAt = null;
+
+function surgeZoneKey(location) {
+    const cell = (value) => Math.floor(value / SURGE_ZONE_SIZE_DEGREES);
+    return `${cell(location.lat)}:${cell(location.lng)}`;
+}
+
+// 1.0 while drivers keep up with demand, then rising with the pending/available ratio up to the ceiling
+function surgeMultiplierFor(pendingRides, availableDrivers, maxMultiplier) {
+    const ratio = pendingRides / Math.max(availableDrivers, 1);
+    if (ratio <= 1) {
+        return 1;
+    }
+    const multiplier = Math.min(maxMultiplier, 1 + (ratio - 1) * SURGE_STEP_PER_RATIO);
+    return Math.round(multiplier * 10) / 10;
+}
+
+async function loadSurgeSettings() {
+    const stored = await db.collection('settings').findOne({ _id: 'surge' });
+    surgeSettings = { ...DEFAULT_SURGE_SETTINGS, ...(stored || {}) };
+    return surgeSettings;
+}
+
+// Recounts supply and demand per zone and recomputes every zone's multiplier
+async function refreshSurgeMultipliers() {
+    await loadSurgeSettings();
+    const zones = new Map();
+    const zoneFor = (point) => {
+        const key = surgeZoneKey({ lat: point.coordinates[1], lng: point.coordinates[0] });
+        if (!zones.has(key)) {
+            zones.set(key, { pendingRides: 0, availableDrivers: 0, multiplier: 1 });
+        }
+        return zones.get(key);
+    };
+
+    const pendingRides = await db.collection('rides')
+        .find({ Status: 'Pending', PickupPoint: { $exists: true } }, { projection: { PickupPoint: 1 } })
+        .toArray();
+    for (const ride of pendingRides) {
+        zoneFor(ride.PickupPoint).pendingRides++;
+    }
+    const availableDrivers = await db.collection('drivers')
+        .find({ Status: 'Available', IsBlocked: { $ne: true }, Location: { $exists: true } }, { projection: { Location: 1 } })
+        .toArray();
+    for (const driver of availableDrivers) {
+        zoneFor(driver.Location).availableDrivers++;
+    }
+
+    for (const zone of zones.values()) {
+        zone.multiplier = surgeSettings.enabled
+            ? surgeMultiplierFor(zone.pendingRides, zone.availableDrivers, surgeSettings.maxMultiplier)
+            : 1;
+    }
+    surgeZones = zones;
+    surgeRefreshedAt = new Date();
+}
+
+function startSurgeRefresh() {
+    const refresh = () => refreshSurgeMultipliers().catch(err => console.error("Error refreshing surge multipliers:", err));
+    refresh();
+    setInterval(refresh, SURGE_REFRESH_SECONDS * 1000);
+}
+
+// The current multiplier for a pickup location (1 when its zone has no surge)
+function getSurgeMultiplier(location) {
+    const zone = surgeZoneKey(location);
+    const stats = surgeZones.get(zone);
+    return { zone, multiplier: stats ? stats.multiplier : 1 };
+}
+
+// --- Fare Quotes ---
+
+const QUOTE_TTL_SECONDS = Number(process.env.QUOTE_TTL_SECONDS) || 300;
+// The quoted fare is what the customer pays; the range shows how far a metered trip could drift from it
+const FARE_RANGE_LOW = 0.9;
+const FARE_RANGE_HIGH = 1.15;
+
+// Signs a quote so /ride/book can trust the fare without storing it. The jti makes each quote single-use.
+function signFareQuote(customerId, { pickup, destination, stops }, breakdown) {
+    const jti = new ObjectId().toString();
+    const quoteId = jwt.sign(
+        { type: 'fare_quote', customerId, pickup, destination, stops, fare: breakdown.total, breakdown },
+        JWT_SECRET,
+        { expiresIn: QUOTE_TTL_SECONDS, jwtid: jti }
+    );
+    return { quoteId, expiresAt: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000) };
+}
+
+// Verifies a quote ID for the given customer and trip. Returns { error, status } or { quote }.
+function verifyFareQuote(quoteId, customerId, { pickup, destination, stops }) {
+    let quote;
+    try {
+        quote = jwt.verify(quoteId, JWT_SECRET);
+    } catch (err) {
+        return { status: 400, error: 'Quote is invalid or has expired. Please request a new estimate.' };
+    }
+    if (quote.type !== 'fare_quote') {
+        return { status: 400, error: 'Quote is invalid or has expired. Please request a new estimate.' };
+    }
+    if (quote.customerId !== customerId) {
+        return { status: 403, error: 'This quote was issued to another customer.' };
+    }
+    const samePlace = (a, b) => a.lat === b.lat && a.lng === b.lng;
+    const quotedStops = quote.stops || [];
+    const sameStops = quotedStops.length === stops.length && quotedStops.every((stop, i) => samePlace(stop, stops[i]));
+    if (!samePlace(quote.pickup, pickup) || !samePlace(quote.destination, destination) || !sameStops) {
+        return { status: 400, error: 'Pickup Location, Stops and Destination do not match the quote.' };
+    }
+    return { quote };
+}
+
+// --- Cancellation Policy ---
+
+// Customers cancel for free while no driver is committed or within the free window after a driver accepts.
+// After that a fee applies, higher once the driver has reached the pickup. Amounts in RM.
+const CANCELLATION_FREE_WINDOW_MINUTES = Number(process.env.CANCELLATION_FREE_WINDOW_MINUTES) || 2;
+const CANCELLATION_FEE_ACCEPTED = Number(process.env.CANCELLATION_FEE_ACCEPTED) || 3.00;
+const CANCELLATION_FEE_ARRIVED = Number(process.env.CANCELLATION_FEE_ARRIVED) || 5.00;
+// Share of the cancellation fee paid to the driver for the wasted trip (0 to 1)
+const CANCELLATION_DRIVER_SHARE = process.env.CANCELLATION_DRIVER_SHARE !== undefined
+    ? Number(process.env.CANCELLATION_DRIVER_SHARE)
+    : 1;
+
+// Fee owed when a customer cancels the ride now, with the rule that produced it.
+// Only for rides that have not started: a started trip is ended by the driver and charged as a ride.
+function customerCancellationFee(ride, now = new Date()) {
+    if (!ride.driverId || ['Scheduled', 'Pending'].includes(ride.Status)) {
+        return { fee: 0, reason: 'No driver had accepted the ride yet' };
+    }
+    // The window starts when the driver accepted, not at booking: a scheduled ride may be dispatched hours later
+    const accepted = (ride.statusHistory || []).filter(entry => entry.to === 'Accepted').pop();
+    const windowStart = accepted ? accepted.at : ride.BookingTime;
+    const minutesSinceAccepted = (now - windowStart) / 60000;
+    if (minutesSinceAccepted <= CANCELLATION_FREE_WINDOW_MINUTES) {
+        return { fee: 0, reason: `Cancelled within the ${CANCELLATION_FREE_WINDOW_MINUTES}-minute free window` };
+    }
+    if (ride.Status === 'Accepted') {
+        return { fee: CANCELLATION_FEE_ACCEPTED, reason: 'Cancelled after the driver accepted' };
+    }
+    return { fee: CANCELLATION_FEE_ARRIVED, reason: 'Cancelled after the driver arrived at pickup' };
+}
+
+// Records a cancellation fee in payments. Wallet rides pay it out of their booking hold (releasing the rest)
+// and it is Captured at once; others are billed to the account and stay Pending (outstanding) until the
+// customer pays it through POST /payment (collectCancellationFee).
+// The driver's share is only credited once the fee is actually collected (settleCancellationFee).
+async function chargeCancellationFee(ride, fee) {
+    const compensation = roundMoney(fee * CANCELLATION_DRIVER_SHARE);
+    const paymentId = new ObjectId();
+    let status;
+    await runTransaction(async (session) => {
+        const fromWallet = await releaseRideHold(ride, session, { type: 'CancellationFee', amount: fee, paymentId });
+        if (!fromWallet) {
+            await releaseRideHold(ride, session);
+        }
+        status = fromWallet ? 'Captured' : 'Pending';
+        const payment = {
+            _id: paymentId,
+            rideId: ride._id,
+            customerId: ride.customerId,
+            driverId: ride.driverId,
+            Type: 'CancellationFee',
+            Method: fromWallet ? 'wallet' : 'account',
+            Fare: fee,
+            Currency: PAYMENT_CURRENCY,
+            DriverCompensation: compensation,
+            Payment_Time: new Date(),
+            Status: status,
+            StatusHistory: [paymentStatusEntry(status, fromWallet ? 'Cancellation fee' : 'Cancellation fee outstanding')]
+        };
+        await db.collection('payments').insertOne(payment, { session });
+        if (fromWallet) {
+            await settleCancellationFee(payment, session);
+        }
+    });
+    return { paymentId, status };
+}
+
+// Credits the driver's share of a cancellation fee that has been collected. When `payment` collects an
+// outstanding fee (SettlesPaymentId), that fee is marked Settled so it is only collected once.
+async function settleCancellationFee(payment, session) {
+    if (payment.SettlesPaymentId) {
+        const update = await db.collection('payments').updateOne(
+            { _id: payment.SettlesPaymentId, Type: 'CancellationFee', Status: 'Pending' },
+            {
+                $set: { Status: 'Settled', SettledByPaymentId: payment._id },
+                $push: { StatusHistory: paymentStatusEntry('Settled', `Collected by payment ${payment._id}`) }
+            },
+            { session }
+        );
+        if (update.matchedCount === 0) {
+            throw paymentConflict('This cancellation fee has already been paid.');
+        }
+    }
+    await recordDriverEarning(payment.driverId, 'CancellationCompensation', {
+        cancellationCompensation: payment.DriverCompensation
+    }, {
+        rideId: payment.rideId,
+        paymentId: payment._id
+    }, session);
+}
+
+// Charges the customer for an outstanding cancellation fee on `ride` (already checked to be theirs).
+// The charge is a new CancellationFee payment that settles the outstanding one once captured; a card charge
+// that is only authorized settles when the gateway confirms capture. Returns { status, body } for the route.
+async function collectCancellationFee(ride, { method, cardToken, idempotencyKey }) {
+    if (!['wallet', 'card'].includes(method)) {
+        return { status: 400, body: { message: 'Cancellation fees can be paid by wallet or card.' } };
+    }
+    const outstanding = ride.CancellationFeePaymentId
+        ? await db.collection('payments').findOne({ _id: ride.CancellationFeePaymentId, Type: 'CancellationFee' })
+        : null;
+    if (!outstanding || outstanding.Status !== 'Pending') {
+        return { status: 409, body: { message: 'This ride was cancelled and has no outstanding fee to pay.' } };
+    }
+
+    const payment = {
+        _id: new ObjectId(),
+        rideId: ride._id,
+        customerId: ride.customerId,
+        driverId: ride.driverId,
+        Type: 'CancellationFee',
+        Method: method,
+        Fare: outstanding.Fare,
+        Currency: PAYMENT_CURRENCY,
+        DriverCompensation: outstanding.DriverCompensation,
+        SettlesPaymentId: outstanding._id,
+        IdempotencyKey: idempotencyKey || null
+    };
+    const outcome = await chargePayment(payment, PAYMENT_PROVIDERS[method], { ride, cardToken }, async (outcome, session) => {
+        if (outcome.status === 'Captured') {
+            await settleCancellationFee(payment, session);
+        }
+    });
+
+    const body = { paymentId: payment._id, amount: payment.Fare, method, status: outcome.status, cancellationFee: true };
+    if (outcome.status === 'Captured') {
+        return { status: 201, body: { message: 'Cancellation fee paid', ...body } };
+    }
+    if (outcome.status === 'Failed') {
+        return { status: 402, body: { message: `Payment failed: ${outcome.failureReason}`, ...body } };
+    }
+    return { status: 202, body: { message: 'Payment authorized. Waiting for the gateway to confirm capture.', ...body } };
+}
+
+// Cancellations as a share of the rides a driver has accepted
+function driverCancellationRate(driver) {
+    const accepted = driver.AcceptedRides || 0;
+    return accepted > 0 ? Math.round((driver.CancelledRides || 0) / accepted * 100) / 100 : 0;
+}
+
+// --- Idempotent Requests ---
+
+const IDEMPOTENCY_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+// Claims an Idempotency-Key for one user and route. Returns one of:
+//   { record }            first time this key is seen; finish with completeIdempotentRequest
+//   { replay }            the stored { statusCode, body } of the original request
+//   { status, error }     key still in flight (409) or reused with a different payload (422)
+async function beginIdempotentRequest(scope, ownerId, key, body) {
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+    const record = { _id: `${ownerId}:${scope}:${key}`, ownerId, scope, key, fingerprint, status: 'InProgress', createdAt: new Date() };
+    try {
+        await db.collection('idempotency_keys').insertOne(record);
+        return { record };
+    } catch (err) {
+        if (err.code !== 11000) throw err; // Anything but a duplicate key is a real failure
+    }
+
+    const existing = await db.collection('idempotency_keys').findOne({ _id: record._id });
+    if (!existing) {
+        return { status: 409, error: 'Request with this Idempotency-Key was just released. Please retry.' };
+    }
+    if (existing.fingerprint !== fingerprint) {
+        return { status: 422, error: 'Idempotency-Key was already used with a different request body.' };
+    }
+    if (existing.status !== 'Completed') {
+        return { status: 409, error: 'A request with this Idempotency-Key is still being processed.' };
+    }
+    return { replay: existing.response };
+}
+
+// Stores the response so retries with the same key get it back. Server errors release the key instead,
+// so the client can safely try again.
+async function completeIdempotentRequest(record, statusCode, body) {
+    if (!record) return;
+    if (statusCode >= 500) {
+        await db.collection('idempotency_keys').deleteOne({ _id: record._id });
+        return;
+    }
+    await db.collection('idempotency_keys').updateOne(
+        { _id: record._id },
+        { $set: { status: 'Completed', response: { statusCode, body }, completedAt: new Date() } }
+    );
+}
+
+// --- Customer Wallet ---
+
+const WALLET_TOP_UP_MIN = 5;
+const WALLET_TOP_UP_MAX = 1000;
+
+// Applies signed wallet entries (positive credits, negative debits) as one change: the cached
+// customers.WalletBalance moves by their sum and each entry is appended to wallet_ledger, so the
+// balance always equals the sum of the ledger. Must run inside a transaction (`session`).
+// Returns false, writing nothing, if the change would take the balance below zero.
+async function applyWalletEntries(customerId, entries, session) {
+    const net = roundMoney(entries.reduce((sum, entry) => sum + entry.Amount, 0));
+    const filter = { _id: customerId };
+    if (net < 0) {
+        filter.WalletBalance = { $gte: -net };
+    }
+    const result = await db.collection('customers').updateOne(filter, { $inc: { WalletBalance: net } }, { session });
+    if (result.matchedCount === 0) {
+        return false;
+    }
+    const createdAt = new Date();
+    await db.collection('wallet_ledger').insertMany(
+        entries.map(entry => ({ customerId, ...entry, createdAt })),
+        { session }
+    );
+    return true;
+}
+
+// Reserves `amount` of the customer's balance for a ride. Returns the hold, or null if the balance is too low.
+async function placeWalletHold(customerId, rideId, amount) {
+    const hold = { _id: new ObjectId(), customerId, rideId, Amount: amount, Status: 'Active', createdAt: new Date() };
+    return runTransaction(async (session) => {
+        const applied = await applyWalletEntries(customerId, [
+            { Type: 'Hold', Amount: -amount, holdId: hold._id, rideId }
+        ], session);
+        if (!applied) {
+            return null;
+        }
+        await db.collection('wallet_holds').insertOne(hold, { session });
+        return hold;
+    });
+}
+
+// Releases the ride's active wallet hold, optionally capturing `capture.amount` from the balance in the same
+// change (ledger type `capture.type`). Returns false if there is nothing to capture from or the balance is too low.
+async function releaseRideHold(ride, session, capture) {
+    if (!ride.WalletHoldId) {
+        return !capture;
+    }
+    const hold = await db.collection('wallet_holds').findOne({ _id: ride.WalletHoldId, Status: 'Active' }, { session });
+    if (!hold) {
+        return !capture;
+    }
+    const entries = [{ Type: 'HoldRelease', Amount: hold.Amount, holdId: hold._id, rideId: ride._id }];
+    if (capture) {
+        entries.push({ Type: capture.type, Amount: -capture.amount, paymentId: capture.paymentId, rideId: ride._id });
+    }
+    if (!await applyWalletEntries(hold.customerId, entries, session)) {
+        return false;
+    }
+    await db.collection('wallet_holds').updateOne(
+        { _id: hold._id },
+        { $set: { Status: capture ? 'Captured' : 'Released', closedAt: new Date(), paymentId: capture ? capture.paymentId : null } },
+        { session }
+    );
+    return true;
+}
+
+// Releases a cancelled ride's wallet hold in its own transaction
+async function releaseCancelledRideHold(ride) {
+    if (ride.WalletHoldId) {
+        await runTransaction(session => releaseRideHold(ride, session));
+    }
+}
+
+// Ledger-derived balances versus the cached WalletBalance, and active holds versus outstanding Hold entries.
+// Returns only the customers where something does not add up.
+async function reconcileWallets() {
+    const ledgerTotals = await db.collection('wallet_ledger').aggregate([
+        {
+            $group: {
+                _id: '$customerId',
+                ledgerBalance: { $sum: '$Amount' },
+                heldByLedger: {
+                    $sum: { $cond: [{ $in: ['$Type', ['Hold', 'HoldRelease']] }, { $multiply: ['$Amount', -1] }, 0] }
+                }
+            }
+        }
+    ]).toArray();
+    const activeHolds = await db.collection('wallet_holds').aggregate([
+        { $match: { Status: 'Active' } },
+        { $group: { _id: '$customerId', held: { $sum: '$Amount' } } }
+    ]).toArray();
+    const customers = await db.collection('customers')
+        .find({ $or: [{ WalletBalance: { $exists: true } }, { _id: { $in: ledgerTotals.map(t => t._id) } }] })
+        .project({ username: 1, email: 1, WalletBalance: 1 })
+        .toArray();
+
+    const totalsById = new Map(ledgerTotals.map(t => [t._id.toString(), t]));
+    const holdsById = new Map(activeHolds.map(h => [h._id.toString(), h.held]));
+    const mismatches = [];
+    for (const customer of customers) {
+        const totals = totalsById.get(customer._id.toString()) || { ledgerBalance: 0, heldByLedger: 0 };
+        const walletBalance = roundMoney(customer.WalletBalance || 0);
+        const ledgerBalance = roundMoney(totals.ledgerBalance);
+        const activeHeld = roundMoney(holdsById.get(customer._id.toString()) || 0);
+        const heldByLedger = roundMoney(totals.heldByLedger);
+        if (walletBalance !== ledgerBalance || activeHeld !== heldByLedger) {
+            mismatches.push({
+                customerId: customer._id,
+                username: customer.username,
+                email: customer.email,
+                walletBalance,
+                ledgerBalance,
+                activeHeld,
+                heldByLedger
+            });
+        }
+    }
+    return { checkedCustomers: customers.length, mismatches };
+}
+
+// --- Promo Codes ---
+
+const PROMO_TYPES = ['percent', 'fixed'];
+// Discounts never take a ride below this payable fare (RM), so every ride still goes through payment
+const PROMO_MIN_PAYABLE_FARE = 1;
+
+// Validates the promo code payload for POST /admin/promos (partial = false) and PATCH (partial = true)
+function parsePromoInput(body, partial) {
+    const promo = {};
+    if (body.code !== undefined) {
+        if (typeof body.code !== 'string' || !/^[A-Za-z0-9_-]{3,32}$/.test(body.code)) {
+            return { error: 'code must be 3-32 letters, digits, dashes or underscores.' };
+        }
+        promo.Code = body.code.toUpperCase();
+    } else if (!partial) {
+        return { error: 'code is required.' };
+    }
+    if (body.type !== undefined) {
+        if (!PROMO_TYPES.includes(body.type)) {
+            return { error: `type must be one of: ${PROMO_TYPES.join(', ')}.` };
+        }
+        promo.Type = body.type;
+    } else if (!partial) {
+        return { error: 'type is required.' };
+    }
+    if (body.value !== undefined) {
+        const value = Number(body.value);
+        if (!Number.isFinite(value) || value <= 0 || (body.type === 'percent' && value > 100)) {
+            return { error: 'value must be a positive number (at most 100 for percent codes).' };
+        }
+        promo.Value = value;
+    } else if (!partial) {
+        return { error: 'value is required.' };
+    }
+    // Optional numeric limits; null removes a limit
+    const optionalNumbers = {
+        maxDiscount: 'MaxDiscount',
+        minimumFare: 'MinimumFare',
+        maxRedemptions: 'MaxRedemptions',
+        perUserLimit: 'PerUserLimit'
+    };
+    for (const [field, stored] of Object.entries(optionalNumbers)) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null) {
+            promo[stored] = null;
+            continue;
+        }
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            return { error: `${field} must be a non-negative number or null.` };
+        }
+        promo[stored] = value;
+    }
+    if (body.expiresAt !== undefined) {
+        const expiresAt = body.expiresAt === null ? null : new Date(body.expiresAt);
+        if (expiresAt && isNaN(expiresAt.getTime())) {
+            return { error: 'expiresAt must be a valid date or null.' };
+        }
+        promo.ExpiresAt = expiresAt;
+    }
+    if (body.firstRideOnly !== undefined) {
+        promo.FirstRideOnly = Boolean(body.firstRideOnly);
+    }
+    if (body.active !== undefined) {
+        promo.Active = Boolean(body.active);
+    }
+    return { promo };
+}
+
+function promoUsageId(promoId, customerId) {
+    return `${promoId}:${customerId}`;
+}
+
+// Checks whether `code` can be used by the customer on a fare of `fareTotal` and works out the discount.
+// Returns { error, status } or { promo, discount }. Limits are checked again when the code is redeemed.
+async function evaluatePromo(code, customerId, fareTotal) {
+    const promo = await db.collection('promo_codes').findOne({ Code: String(code).toUpperCase() });
+    if (!promo || !promo.Active) {
+        return { status: 404, error: 'Promo code is not valid.' };
+    }
+    if (promo.ExpiresAt && promo.ExpiresAt <= new Date()) {
+        return { status: 400, error: 'Promo code has expired.' };
+    }
+    if (promo.MaxRedemptions != null && promo.Redemptions >= promo.MaxRedemptions) {
+        return { status: 409, error: 'Promo code has been fully redeemed.' };
+    }
+    if (promo.PerUserLimit != null) {
+        const usage = await db.collection('promo_code_usage').findOne({ _id: promoUsageId(promo._id, customerId) });
+        if (usage && usage.count >= promo.PerUserLimit) {
+            return { status: 409, error: 'You have already used this promo code the maximum number of times.' };
+        }
+    }
+    if (promo.MinimumFare != null && fareTotal < promo.MinimumFare) {
+        return { status: 400, error: `Promo code needs a fare of at least RM${promo.MinimumFare.toFixed(2)}.` };
+    }
+    if (promo.FirstRideOnly) {
+        const previousRide = await db.collection('rides').findOne(
+            { customerId: new ObjectId(customerId), Status: { $ne: 'Cancelled' } },
+            { projection: { _id: 1 } }
+        );
+        if (previousRide) {
+            return { status: 400, error: 'Promo code is only valid on your first ride.' };
+        }
+    }
+
+    let discount = promo.Type === 'percent' ? fareTotal * promo.Value / 100 : promo.Value;
+    if (promo.MaxDiscount != null) {
+        discount = Math.min(discount, promo.MaxDiscount);
+    }
+    discount = roundMoney(Math.min(discount, fareTotal - PROMO_MIN_PAYABLE_FARE));
+    if (discount <= 0) {
+        return { status: 400, error: 'Promo code does not discount this fare.' };
+    }
+    return { promo, discount };
+}
+
+// Fare breakdown with a promo discount taken off the total
+function applyPromoDiscount(breakdown, promo, discount) {
+    return {
+        ...breakdown,
+        promoCode: promo.Code,
+        totalBeforeDiscount: breakdown.total,
+        discount,
+        total: roundMoney(breakdown.total - discount)
+    };
+}
+
+// Uses up one redemption of the promo for a ride, enforcing the total and per-customer limits atomically.
+// Throws a 409 if either limit was reached since the code was evaluated.
+async function redeemPromo(promo, customerId, rideId, discount) {
+    try {
+        await runTransaction(async (session) => {
+            const claimed = await db.collection('promo_codes').updateOne(
+                {
+                    _id: promo._id,
+                    Active: true,
+                    $or: [{ MaxRedemptions: null }, { $expr: { $lt: ['$Redemptions', '$MaxRedemptions'] } }]
+                },
+                { $inc: { Redemptions: 1 } },
+                { session }
+            );
+            if (claimed.matchedCount === 0) {
+                throw paymentConflict('Promo code is no longer available.');
+            }
+            // Upserting past the limit hits the existing _id, so the per-customer count cannot overshoot
+            const usageFilter = { _id: promoUsageId(promo._id, customerId) };
+            if (promo.PerUserLimit != null) {
+                usageFilter.count = { $lt: promo.PerUserLimit };
+            }
+            await db.collection('promo_code_usage').updateOne(usageFilter, { $inc: { count: 1 } }, { upsert: true, session });
+            await db.collection('promo_redemptions').insertOne({
+                promoId: promo._id,
+                Code: promo.Code,
+                customerId: new ObjectId(customerId),
+                rideId,
+                discount,
+                Status: 'Applied', // Applied, Released
+                createdAt: new Date()
+            }, { session });
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw paymentConflict('You have already used this promo code the maximum number of times.');
+        }
+        throw error;
+    }
+}
+
+// Gives a cancelled (or never created) ride's promo redemption back to the code and the customer
+async function releaseRidePromo(ride) {
+    if (!ride.Promo) return;
+    await runTransaction(async (session) => {
+        const redemption = await db.collection('promo_redemptions').findOneAndUpdate(
+            { rideId: ride._id, Status: 'Applied' },
+            { $set: { Status: 'Released', releasedAt: new Date() } },
+            { session }
+        );
+        if (!redemption) return;
+        await db.collection('promo_codes').updateOne({ _id: redemption.promoId }, { $inc: { Redemptions: -1 } }, { session });
+        await db.collection('promo_code_usage').updateOne(
+            { _id: promoUsageId(redemption.promoId, redemption.customerId) },
+            { $inc: { count: -1 } },
+            { session }
+        );
+    });
+}
+
+// --- Referrals ---
+
+const REFERRAL_REFEREE_CREDIT = Number(process.env.REFERRAL_REFEREE_CREDIT) || 5;
+const REFERRAL_REFERRER_CREDIT = Number(process.env.REFERRAL_REFERRER_CREDIT) || 5;
+
+function generateReferralCode() {
+    return crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// Pays the referral credits once a referred customer completes their first ride. Both wallets are
+// credited in one transaction, and ReferralStatus moving Pending -> Rewarded makes it happen only once.
+async function awardReferralCredits(customerId) {
+    const referee = await runTransaction(async (session) => {
+        const claimed = await db.collection('customers').findOneAndUpdate(
+            { _id: customerId, ReferralStatus: 'Pending' },
+            { $set: { ReferralStatus: 'Rewarded', ReferralRewardedAt: new Date() } },
+            { session }
+        );
+        if (!claimed) return null;
+        await applyWalletEntries(customerId, [
+            { Type: 'ReferralCredit', Amount: REFERRAL_REFEREE_CREDIT, referrerId: claimed.ReferredBy }
+        ], session);
+        await applyWalletEntries(claimed.ReferredBy, [
+            { Type: 'ReferralCredit', Amount: REFERRAL_REFERRER_CREDIT, refereeId: customerId }
+        ], session);
+        return claimed;
+    });
+    if (referee) {
+        publishEvent([customerId], 'referral.rewarded', { amount: REFERRAL_REFEREE_CREDIT });
+        publishEvent([referee.ReferredBy], 'referral.rewarded', { amount: REFERRAL_REFERRER_CREDIT, refereeId: customerId });
+    }
+}
+
+// Called whenever a ride reaches Completed; failures are logged rather than failing the completion
+function onRideCompleted(ride) {
+    awardReferralCredits(ride.customerId)
+        .catch(err => console.error("Error awarding referral credits:", err));
+}
+
+// --- Payments ---
+
+const PAYMENT_CURRENCY = 'MYR';
+const CARD_GATEWAY_WEBHOOK_SECRET = process.env.CARD_GATEWAY_WEBHOOK_SECRET || 'mock_gateway_webhook_secret';
+const CARD_GATEWAY_WEBHOOK_URL = process.env.CARD_GATEWAY_WEBHOOK_URL || `http://localhost:${port}/payment/webhooks/card`;
+
+// Ride paymentStatus that mirrors each payment Status (Pending, Authorized, Captured, Failed, Refunded)
+const RIDE_PAYMENT_STATUS = {
+    Pending: 'AwaitingConfirmation',
+    Authorized: 'Authorized',
+    Captured: 'Paid',
+    Failed: 'Failed',
+    Refunded: 'Refunded'
+};
+// A new payment attempt can only start from these ride paymentStatus values (null matches older rides without one)
+const PAYABLE_RIDE_PAYMENT_STATUSES = [null, 'Pending', 'Failed'];
+
+function paymentStatusEntry(status, note) {
+    const entry = { status, at: new Date() };
+    if (note) {
+        entry.note = note;
+    }
+    return entry;
+}
+
+// Error that aborts a payment transaction and is reported to the client with its status code
+function paymentConflict(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+}
+
+function signGatewayPayload(payload) {
+    return crypto.createHmac('sha256', CARD_GATEWAY_WEBHOOK_SECRET).update(payload).digest('hex');
+}
+
+// Local stand-in for a card processor with authorize/capture/void/refund and signed webhook callbacks.
+// Test tokens: tok_visa (approved), tok_declined (declined), tok_async (capture confirmed later by webhook).
+function createMockCardGateway({ webhookUrl }) {
+    const charges = new Map();
+
+    function notify(type, charge) {
+        const payload = JSON.stringify({ id: `evt_${crypto.randomUUID()}`, type, data: { ...charge } });
+        fetch(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Gateway-Signature': signGatewayPayload(payload) },
+            body: payload
+        }).catch(err => console.error("Mock card gateway webhook delivery failed:", err.message));
+    }
+
+    function getCharge(chargeId, allowedStatuses) {
+        const charge = charges.get(chargeId);
+        if (!charge || !allowedStatuses.includes(charge.status)) {
+            throw new Error(`Charge ${chargeId} is not in a state that allows this operation.`);
+        }
+        return charge;
+    }
+
+    return {
+        async authorize({ amount, currency, token, reference }) {
+            const charge = {
+                id: `ch_${crypto.randomUUID()}`,
+                amount, currency, token, reference,
+                status: 'authorized',
+                capturedAmount: 0,
+                refundedAmount: 0
+            };
+            if (!token || token === 'tok_declined') {
+                charge.status = 'declined';
+                charge.failureReason = token ? 'Card declined by issuer.' : 'Card token is required.';
+            }
+            charges.set(charge.id, charge);
+            notify(charge.status === 'declined' ? 'charge.failed' : 'charge.authorized', charge);
+            return { ...charge };
+        },
+        async capture(chargeId) {
+            const charge = getCharge(chargeId, ['authorized']);
+            const complete = () => {
+                charge.status = 'captured';
+                charge.capturedAmount = charge.amount;
+                notify('charge.captured', charge);
+            };
+            if (charge.token === 'tok_async') {
+                charge.status = 'capture_pending';
+                setTimeout(complete, 2000);
+            } else {
+                complete();
+            }
+            return { ...charge };
+        },
+        async void(chargeId) {
+            const charge = getCharge(chargeId, ['authorized', 'capture_pending']);
+            charge.status = 'voided';
+            notify('charge.voided', charge);
+            return { ...charge };
+        },
+        async refund(chargeId, amount) {
+            const charge = getCharge(chargeId, ['captured', 'partially_refunded']);
+            charge.refundedAmount = roundMoney(charge.refundedAmount + amount);
+            charge.status = charge.refundedAmount >= charge.capturedAmount ? 'refunded' : 'partially_refunded';
+            notify('charge.refunded', charge);
+            return { ...charge };
+        }
+    };
+}
+
+const cardGateway = createMockCardGateway({ webhookUrl: CARD_GATEWAY_WEBHOOK_URL });
+
+// Payment providers, selected by the `method` a customer pays with. Each provides:
+//   charge(payment, { session, cardToken, ride }) -> { status, providerRef, failureReason }
+//   void(payment)                           -> cancels a charge that has not been captured
+//   refund(payment, amount, { session })    -> returns money for a captured charge
+// When `transactional` is true, charge and refund run inside the payment transaction so their writes commit
+// with it. Otherwise they run before the transaction (a failed charge transaction is then reversed).
+const PAYMENT_PROVIDERS = {
+    // Customer pays the driver directly; stays Pending until the driver confirms receipt.
+    // Cash cannot be handed back through the app, so refunds are credited to the customer's wallet.
+    cash: {
+        transactional: true,
+        async charge() {
+            return { status: 'Pending', providerRef: null };
+        },
+        async void() {},
+        async refund(payment, amount, { session }) {
+            await applyWalletEntries(payment.customerId, [
+                { Type: 'Refund', Amount: amount, paymentId: payment._id, rideId: payment.rideId }
+            ], session);
+        }
+    },
+    // Debited from the customer's in-app wallet. A fare captures the hold placed at booking if there is one;
+    // anything else (tips, cancellation fees) comes out of the available balance and leaves the hold for the fare.
+    wallet: {
+        transactional: true,
+        async charge(payment, { session, ride }) {
+            const capture = { type: 'Payment', amount: payment.Fare, paymentId: payment._id };
+            // Falls back to a plain debit when the ride has no active hold
+            const captured = (payment.Type === 'RideFare' && await releaseRideHold(ride, session, capture)) ||
+                await applyWalletEntries(payment.customerId, [
+                    { Type: 'Payment', Amount: -payment.Fare, paymentId: payment._id, rideId: payment.rideId }
+                ], session);
+            if (!captured) {
+                return { status: 'Failed', providerRef: null, failureReason: 'Insufficient wallet balance.' };
+            }
+            return { status: 'Captured', providerRef: `wallet:${payment._id}` };
+        },
+        async void() {},
+        async refund(payment, amount, { session } = {}) {
+            const entries = [{ Type: 'Refund', Amount: amount, paymentId: payment._id, rideId: payment.rideId }];
+            if (session) {
+                await applyWalletEntries(payment.customerId, entries, session);
+            } else {
+                await runTransaction(s => applyWalletEntries(payment.customerId, entries, s));
+            }
+        }
+    },
+    // Authorized and captured through the card gateway
+    card: {
+        transactional: false,
+        async charge(payment, { cardToken }) {
+            const authorization = await cardGateway.authorize({
+                amount: payment.Fare,
+                currency: payment.Currency,
+                token: cardToken,
+                reference: payment._id.toString()
+            });
+            if (authorization.status === 'declined') {
+                return { status: 'Failed', providerRef: authorization.id, failureReason: authorization.failureReason };
+            }
+            const capture = await cardGateway.capture(authorization.id);
+            return { status: capture.status === 'captured' ? 'Captured' : 'Authorized', providerRef: authorization.id };
+        },
+        async void(payment) {
+            await cardGateway.void(payment.ProviderRef);
+        },
+        async refund(payment, amount) {
+            await cardGateway.refund(payment.ProviderRef, amount);
+        }
+    }
+};
+
+// Undoes a non-transactional charge whose transaction did not commit
+async function reverseProviderCharge(provider, payment, outcome) {
+    if (outcome.status === 'Captured') {
+        await provider.refund(payment, payment.Fare);
+    } else if (outcome.status === 'Authorized') {
+        await provider.void(payment);
+    }
+}
+
+// Charges `payment` through its provider and stores it. `apply(outcome, session)` runs in the same transaction
+// to record the result on the ride; if the transaction fails, a non-transactional charge is reversed.
+async function chargePayment(payment, provider, { ride, cardToken }, apply) {
+    // External providers (card gateway) are called before the transaction and reversed if it fails
+    let outcome = provider.transactional ? null : await provider.charge(payment, { cardToken, ride });
+
+    // Payment record, ride update and driver earnings commit or roll back together
+    try {
+        await runTransaction(async (session) => {
+            if (provider.transactional) {
+                outcome = await provider.charge(payment, { session, cardToken, ride });
+            }
+            await db.collection('payments').insertOne({
+                ...payment,
+                Status: outcome.status,
+                ProviderRef: outcome.providerRef || null,
+                FailureReason: outcome.failureReason || null,
+                StatusHistory: [paymentStatusEntry(outcome.status, outcome.failureReason)],
+                Payment_Time: new Date()
+            }, { session });
+            await apply(outcome, session);
+        });
+    } catch (error) {
+        if (!provider.transactional && outcome) {
+            await reverseProviderCharge(provider, { ...payment, ProviderRef: outcome.providerRef }, outcome)
+                .catch(err => console.error("Error reversing provider charge:", err));
+        }
+        throw error;
+    }
+    return outcome;
+}
+
+// Marks the ride paid (completing it if still in progress) and credits the driver. Runs inside the caller's
+// transaction and throws a 409 if the ride's paymentStatus is no longer one of `fromPaymentStatuses`.
+async function settleRidePayment(ride, paymentId, amount, actor, session, fromPaymentStatuses) {
+    const paymentSet = { paymentId, paymentStatus: 'Paid' };
+    const filter = { paymentStatus: { $in: fromPaymentStatuses } };
+    let rideUpdated;
+    if (ride.Status === 'Completed') {
+        const update = await db.collection('rides').updateOne(
+            { _id: ride._id, Status: 'Completed', ...filter },
+            { $set: paymentSet },
+            { session }
+        );
+        rideUpdated = update.matchedCount > 0;
+    } else {
+        const transition = await transitionRide(ride, 'Completed', actor, {
+            set: { ...paymentSet, CompletedTime: new Date() },
+            filter,
+            note: 'Completed by payment',
+            session,
+            publish: false
+        });
+        rideUpdated = transition.ok;
+    }
+    if (!rideUpdated) {
+        throw paymentConflict('Ride was paid or changed by another request.');
+    }
+
+    // Paid some other way than the wallet hold made at booking, so give the held money back
+    await releaseRideHold(ride, session);
+
+    // Credit the driver's earnings ledger, and free them up if payment completed the trip
+    // Promo discounts are funded by the platform, so the driver earns on the fare before discount
+    const grossFare = roundMoney(amount + (ride.Promo ? ride.Promo.discount : 0));
+    await recordDriverEarning(ride.driverId, 'RideFare', rideFareEarning(grossFare), { rideId: ride._id, paymentId }, session);
+    if (ride.Status !== 'Completed') {
+        await db.collection('drivers').updateOne({ _id: ride.driverId }, { $set: { Status: 'Available' } }, { session });
+    }
+}
+
+// Ride events to send once a settled payment has committed
+function publishRidePaid(ride, paymentId, amount) {
+    if (ride.Status !== 'Completed') {
+        publishRideEvent(ride, 'ride.status', { status: 'Completed', previousStatus: ride.Status });
+        onRideCompleted(ride);
+    }
+    publishRideEvent(ride, 'payment.completed', { paymentId, amount });
+}
+
+// Moves a Pending or Authorized payment to Captured and settles its ride (or tip), all in one transaction
+async function capturePendingPayment(payment, actor, note) {
+    const ride = await db.collection('rides').findOne({ _id: payment.rideId });
+    const isTip = payment.Type === 'Tip';
+    await runTransaction(async (session) => {
+        const update = await db.collection('payments').updateOne(
+            { _id: payment._id, Status: payment.Status },
+            { $set: { Status: 'Captured' }, $push: { StatusHistory: paymentStatusEntry('Captured', note) } },
+            { session }
+        );
+        if (update.matchedCount === 0) {
+            throw paymentConflict('Payment was updated by another request.');
+        }
+        if (isTip) {
+            await settleTipPayment(payment, session);
+        } else if (payment.Type === 'CancellationFee') {
+            await settleCancellationFee(payment, session);
+        } else {
+            await settleRidePayment(ride, payment._id, payment.Fare, actor, session, [RIDE_PAYMENT_STATUS[payment.Status]]);
+        }
+    });
+    if (isTip) {
+        publishTipReceived(ride, payment._id, payment.Fare);
+    } else if (payment.Type !== 'CancellationFee') {
+        publishRidePaid(ride, payment._id, payment.Fare);
+    }
+}
+
+// --- Tips ---
+
+const TIP_WINDOW_HOURS = Number(process.env.TIP_WINDOW_HOURS) || 24; // How long after completion a ride can be tipped
+const TIP_MIN_AMOUNT = 1;
+const TIP_MAX_AMOUNT = Number(process.env.TIP_MAX_AMOUNT) || 100;
+
+// Keeps the tip entry on the ride (Tips[]) in step with its payment Status
+async function setRideTipStatus(payment, status, session) {
+    await db.collection('rides').updateOne(
+        { _id: payment.rideId, 'Tips.paymentId': payment._id },
+        { $set: { 'Tips.$.status': RIDE_PAYMENT_STATUS[status] } },
+        { session }
+    );
+}
+
+// Credits a captured tip to the driver in full (no commission) and adds it to the ride's TipTotal
+async function settleTipPayment(payment, session) {
+    await setRideTipStatus(payment, 'Captured', session);
+    await db.collection('rides').updateOne({ _id: payment.rideId }, { $inc: { TipTotal: payment.Fare } }, { session });
+    await recordDriverEarning(payment.driverId, 'Tip', { tip: payment.Fare }, {
+        rideId: payment.rideId,
+        paymentId: payment._id
+    }, session);
+}
+
+function publishTipReceived(ride, paymentId, amount) {
+    publishRideEvent(ride, 'tip.received', { paymentId, amount });
+}
+
+// Tips a completed ride through the same providers as fares. Used by the tip endpoint and by ratings
+// that include a tip, on behalf of the authenticated `req`. Returns the HTTP status and body to send.
+// A ride takes one tip; a failed tip can be retried.
+async function tipRide(req, rideId, { amount: rawAmount, method, cardToken }) {
+    const provider = PAYMENT_PROVIDERS[method];
+    if (!provider) {
+        return { status: 400, body: { message: `Tip payment method must be one of: ${Object.keys(PAYMENT_PROVIDERS).join(', ')}.` } };
+    }
+    const amount = roundMoney(Number(rawAmount));
+    if (!Number.isFinite(amount) || amount < TIP_MIN_AMOUNT || amount > TIP_MAX_AMOUNT) {
+        return { status: 400, body: { message: `Tip must be between RM${TIP_MIN_AMOUNT} and RM${TIP_MAX_AMOUNT}.` } };
+    }
+
+    const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
+    if (!ride) {
+        return { status: 404, body: { message: 'Ride not found.' } };
+    }
+    // Data Ownership Check: Only the ride's customer can tip its driver
+    if (!canAccess(req, 'ride:tip', ownsRecord('customerId'), ride)) {
+        return { status: 403, body: { message: 'Access denied. You can only tip on your own rides.' } };
+    }
+    if (ride.Status !== 'Completed' || !ride.driverId) {
+        return { status: 409, body: { message: 'Only completed rides can be tipped.' } };
+    }
+    const tipDeadline = new Date(new Date(ride.CompletedTime).getTime() + TIP_WINDOW_HOURS * 60 * 60 * 1000);
+    if (!ride.CompletedTime || tipDeadline < new Date()) {
+        return { status: 409, body: { message: `Rides can only be tipped within ${TIP_WINDOW_HOURS} hours of completion.` } };
+    }
+
+    const payment = {
+        _id: new ObjectId(),
+        rideId: ride._id,
+        customerId: ride.customerId,
+        driverId: ride.driverId,
+        Type: 'Tip',
+        Method: method,
+        Fare: amount,
+        Currency: PAYMENT_CURRENCY
+    };
+    const outcome = await chargePayment(payment, provider, { ride, cardToken }, async (outcome, session) => {
+        // Only one tip per ride, unless earlier attempts failed
+        const update = await db.collection('rides').updateOne(
+            { _id: ride._id, Tips: { $not: { $elemMatch: { status: { $ne: 'Failed' } } } } },
+            { $push: { Tips: { paymentId: payment._id, amount, method, status: RIDE_PAYMENT_STATUS[outcome.status], at: new Date() } } },
+            { session }
+        );
+        if (update.matchedCount === 0) {
+            throw paymentConflict('This ride has already been tipped.');
+        }
+        if (outcome.status === 'Captured') {
+            await settleTipPayment(payment, session);
+        }
+    });
+
+    const body = { paymentId: payment._id, amount, method, status: outcome.status };
+    if (outcome.status === 'Captured') {
+        publishTipReceived(ride, payment._id, amount);
+        return { status: 201, body: { message: 'Tip sent to your driver', ...body } };
+    }
+    if (outcome.status === 'Failed') {
+        return { status: 402, body: { message: `Tip payment failed: ${outcome.failureReason}`, ...body } };
+    }
+    const pendingMessage = method === 'cash'
+        ? 'Cash tip recorded. Waiting for the driver to confirm receipt.'
+        : 'Tip authorized. Waiting for the gateway to confirm capture.';
+    return { status: 202, body: { message: pendingMessage, ...body } };
+}
+
+// --- Disputes & Refunds ---
+
+// Open, UnderReview and Refunding disputes are still being handled; Resolved and Rejected are final
+const OPEN_DISPUTE_STATUSES = ['Open', 'UnderReview', 'Refunding'];
+
+function disputeComment(actor, message) {
+    return { _id: new ObjectId(), author: { role: actor.role, id: actor.id }, message, at: new Date() };
+}
+
+// Refunds `amount` of a captured payment through its provider and records it as its own payment entry.
+// The original payment tracks RefundedAmount (Status becomes Refunded once fully refunded), the ride's
+// paymentStatus follows, and the driver's earnings ledger gets an entry reversing their share of the refund.
+async function refundPayment(payment, amount, actor, disputeId) {
+    const provider = PAYMENT_PROVIDERS[payment.Method];
+    const totalRefunded = roundMoney((payment.RefundedAmount || 0) + amount);
+    const fullyRefunded = totalRefunded >= payment.Fare;
+    const refundId = new ObjectId();
+
+    // External refunds cannot join the transaction, so they go first
+    if (!provider.transactional) {
+        await provider.refund(payment, amount);
+    }
+    try {
+        await runTransaction(async (session) => {
+            const update = await db.collection('payments').updateOne(
+                { _id: payment._id, RefundedAmount: payment.RefundedAmount ?? null },
+                {
+                    $set: { RefundedAmount: totalRefunded, Status: fullyRefunded ? 'Refunded' : payment.Status },
+                    $push: {
+                        StatusHistory: paymentStatusEntry(
+                            fullyRefunded ? 'Refunded' : payment.Status,
+                            `Refunded RM${amount.toFixed(2)}`
+                        )
+                    }
+                },
+                { session }
+            );
+            if (update.matchedCount === 0) {
+                throw paymentConflict('Payment was refunded by another request.');
+            }
+            if (provider.transactional) {
+                await provider.refund(payment, amount, { session });
+            }
+            await db.collection('payments').insertOne({
+                _id: refundId,
+                rideId: payment.rideId,
+                customerId: payment.customerId,
+                driverId: payment.driverId,
+                Type: 'Refund',
+                Method: payment.Method,
+                RefundOf: payment._id,
+                disputeId,
+                Fare: amount,
+                Currency: payment.Currency,
+                ProviderRef: payment.ProviderRef || null,
+                Payment_Time: new Date(),
+                Status: 'Refunded',
+                StatusHistory: [paymentStatusEntry('Refunded', `Issued by ${actor.role}`)]
+            }, { session });
+            await db.collection('rides').updateOne(
+                { _id: payment.rideId },
+                { $set: { paymentStatus: fullyRefunded ? 'Refunded' : 'PartiallyRefunded' } },
+                { session }
+            );
+            const originalEarning = await db.collection('driver_earnings').findOne({ paymentId: payment._id }, { session });
+            await recordDriverEarning(payment.driverId, 'Refund', refundEarning(originalEarning, amount), {
+                rideId: payment.rideId,
+                paymentId: refundId
+            }, session);
+        });
+    } catch (error) {
+        if (!provider.transactional) {
+            console.error(`Refund ${refundId} was sent to ${payment.Method} but not recorded; reconcile payment ${payment._id} manually.`);
+        }
+        throw error;
+    }
+
+    publishEvent([payment.customerId, payment.driverId], 'payment.refunded', {
+        rideId: payment.rideId,
+        paymentId: payment._id,
+        refundId,
+        amount
+    });
+    return { refundId, totalRefunded, fullyRefunded };
+}
+
+// --- Driver Earnings Ledger ---
+
+const PLATFORM_COMMISSION_PERCENT = process.env.PLATFORM_COMMISSION_PERCENT !== undefined
+    ? Number(process.env.PLATFORM_COMMISSION_PERCENT)
+    : 20;
+const STATEMENT_TZ_OFFSET_HOURS = 8; // Statement days and weeks follow Malaysia time (UTC+8)
+const EARNING_AMOUNT_FIELDS = ['grossFare', 'commission', 'tip', 'cancellationCompensation', 'adjustment', 'net'];
+
+// Appends an entry to the append-only driver_earnings ledger. Amount fields not given are 0 and
+// `net` (what the driver is owed for the entry) is derived from them. Entries stay unpaid until a payout batch claims them.
+async function recordDriverEarning(driverId, type, amounts, refs, session) {
+    const entry = {
+        driverId,
+        Type: type, // RideFare, Tip, CancellationCompensation, Adjustment, Refund
+        grossFare: 0,
+        commission: 0,
+        tip: 0,
+        cancellationCompensation: 0,
+        adjustment: 0,
+        ...amounts,
+        ...refs,
+        createdAt: new Date(),
+        payoutBatchId: null
+    };
+    entry.net = roundMoney(entry.grossFare - entry.commission + entry.tip + entry.cancellationCompensation + entry.adjustment);
+    await db.collection('driver_earnings').insertOne(entry, { session });
+    return entry;
+}
+
+// One-off migration of the old drivers.Earnings counter: each balance becomes an opening Adjustment entry
+// in the ledger and the field is removed, in one transaction per driver so it never counts twice
+async function migrateLegacyDriverEarnings() {
+    const drivers = await db.collection('drivers')
+        .find({ Earnings: { $exists: true } }, { projection: { Earnings: 1 } })
+        .toArray();
+    for (const driver of drivers) {
+        await runTransaction(async (session) => {
+            const claimed = await db.collection('drivers').updateOne(
+                { _id: driver._id, Earnings: driver.Earnings },
+                { $unset: { Earnings: '' } },
+                { session }
+            );
+            const amount = roundMoney(Number(driver.Earnings));
+            if (claimed.matchedCount === 0 || !Number.isFinite(amount) || amount === 0) return;
+            await recordDriverEarning(driver._id, 'Adjustment', { adjustment: amount }, {
+                rideId: null,
+                reason: 'Opening balance carried over from drivers.Earnings',
+                adjustedBy: null
+            }, session);
+        });
+    }
+}
+
+// Ledger entry for a captured fare: the platform keeps PLATFORM_COMMISSION_PERCENT of it
+function rideFareEarning(amount) {
+    return {
+        grossFare: amount,
+        commission: roundMoney(amount * PLATFORM_COMMISSION_PERCENT / 100),
+        commissionPercent: PLATFORM_COMMISSION_PERCENT
+    };
+}
+
+// Reverses a refunded share of an earlier entry at the commission rate that applied to it
+function refundEarning(originalEntry, amount) {
+    if (originalEntry && originalEntry.Type === 'Tip') {
+        return { tip: -amount };
+    }
+    const percent = originalEntry ? originalEntry.commissionPercent || 0 : PLATFORM_COMMISSION_PERCENT;
+    return {
+        grossFare: -amount,
+        commission: -roundMoney(amount * percent / 100),
+        commissionPercent: percent
+    };
+}
+
+function sumEarnings(entries) {
+    const totals = Object.fromEntries(EARNING_AMOUNT_FIELDS.map(field => [field, 0]));
+    for (const entry of entries) {
+        for (const field of EARNING_AMOUNT_FIELDS) {
+            totals[field] = roundMoney(totals[field] + (entry[field] || 0));
+        }
+    }
+    return totals;
+}
+
+// Statement bucket for an entry: the local date for daily statements, or the Monday starting its week for weekly
+function statementPeriod(date, period) {
+    const local = new Date(date.getTime() + STATEMENT_TZ_OFFSET_HOURS * 60 * 60 * 1000);
+    if (period === 'weekly') {
+        const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+        local.setUTCDate(local.getUTCDate() - daysSinceMonday);
+    }
+    return local.toISOString().slice(0, 10);
+}
+
+// Groups ledger entries into statement lines, oldest period first
+function buildEarningsStatement(entries, period) {
+    const byPeriod = new Map();
+    for (const entry of entries) {
+        const key = statementPeriod(entry.createdAt, period);
+        if (!byPeriod.has(key)) {
+            byPeriod.set(key, []);
+        }
+        byPeriod.get(key).push(entry);
+    }
+    return [...byPeriod.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([periodStart, periodEntries]) => {
+            const unpaid = periodEntries.filter(entry => !entry.payoutBatchId);
+            return {
+                period: periodStart,
+                rides: new Set(periodEntries.filter(entry => entry.Type === 'RideFare').map(entry => entry.rideId.toString())).size,
+                ...sumEarnings(periodEntries),
+                unpaidNet: sumEarnings(unpaid).net
+            };
+        });
+}
+
+// Renders rows as CSV with the given columns, quoting values that need it
+function toCsv(rows, columns) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value instanceof Date ? value.toISOString() : value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+function sendCsv(res, filename, rows, columns) {
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(toCsv(rows, columns));
+}
+
+// --- Real-time Ride Events (Server-Sent Events) ---
+
+const SSE_HEARTBEAT_MS = 25000;
+
+// Open event streams per user ID. A user may have several (e.g. phone and browser).
+const eventStreams = new Map();
+
+// Pushes an event to every open stream of the given users. IDs may be strings or ObjectIds.
+function publishEvent(userIds, type, data) {
+    const payload = `event: ${type}\ndata: ${JSON.stringify({ type, at: new Date(), ...data })}\n\n`;
+    const recipients = new Set(userIds.filter(Boolean).map(id => id.toString()));
+    for (const userId of recipients) {
+        for (const stream of eventStreams.get(userId) || []) {
+            stream.write(payload);
+        }
+    }
+}
+
+// Ends a user's open streams, e.g. when their account is blocked (each stream's close handler tidies up)
+function closeEventStreams(userId, reason) {
+    for (const stream of eventStreams.get(userId.toString()) || []) {
+        stream.write(`event: session.ended\ndata: ${JSON.stringify({ type: 'session.ended', reason })}\n\n`);
+        stream.end();
+    }
+}
+
+// Sends a ride event to the parties on that ride: its customer and its assigned driver
+function publishRideEvent(ride, type, data) {
+    publishEvent([ride.customerId, ride.driverId], type, { rideId: ride._id, ...data });
+}
+
+// EventSource cannot set headers, so the stream also accepts the JWT as ?access_token=
+function tokenFromQuery(req, res, next) {
+    if (!req.headers['authorization'] && req.query.access_token) {
+        req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+    }
+    next();
+}
+
+// Use Case: Subscribe to Ride Events
+// Endpoint: /events
+// Method: GET (text/event-stream)
+app.get('/events', tokenFromQuery, authenticateToken, (req, res) => {
+    const userId = req.user.id;
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write(`event: connected\ndata: ${JSON.stringify({ userId, role: req.user.role })}\n\n`);
+
+    if (!eventStreams.has(userId)) {
+        eventStreams.set(userId, new Set());
+    }
+    eventStreams.get(userId).add(res);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = eventStreams.get(userId);
+        streams.delete(res);
+        if (streams.size === 0) {
+            eventStreams.delete(userId);
+        }
+    });
+});
+
+// --- Authentication Use Cases ---
+
+// Use Case: Login (customers, drivers and admins)
+// Endpoint: /auth/login
+// Method: POST
+// Body: { email, password, role (optional; needed only if the email is registered under more than one role) }
+app.post('/auth/login', loginRateLimit('auth.login'), async (req, res) => {
+    try {
+        const { email, password, role } = req.body || {};
+        if (!email || !password) {
+            return res.status(400).json({ message: 'Email and password are required.' });
+        }
+        if (role !== undefined && !USER_COLLECTIONS[role]) {
+            return res.status(400).json({ message: `role must be one of: ${Object.keys(USER_COLLECTIONS).join(', ')}.` });
+        }
+
+        const roles = role ? [role] : Object.keys(USER_COLLECTIONS);
+        const matches = [];
+        for (const candidateRole of roles) {
+            const account = await db.collection(USER_COLLECTIONS[candidateRole]).findOne({ email });
+            if (account && await bcrypt.compare(password, account.password)) {
+                matches.push({ ...account, role: account.role || candidateRole });
+            }
+        }
+        if (matches.length === 0) {
+            return res.status(401).json({ message: 'Invalid email or password.' });
+        }
+        if (matches.length > 1) {
+            return res.status(409).json({ message: 'This email has more than one account. Please specify a role.', roles: matches.map(m => m.role) });
+        }
+        const [user] = matches;
+        const restriction = accountRestriction(user);
+        if (restriction) {
+            return res.status(403).json(restriction);
+        }
+
+        const tokens = await createAuthSession(user, req);
+        res.status(200).json({ message: 'Login successful', ...tokens, userId: user._id, role: user.role });
+    } catch (error) {
+        console.error("Error during login:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Refresh Access Token
+// Endpoint: /auth/refresh
+// Method: POST
+// Body: { refreshToken } - the refresh token is single-use; the response carries its replacement
+app.post('/auth/refresh', loginRateLimit('auth.refresh', { checksPassword: false }), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const [sessionId, secret] = String(body.refreshToken || '').split('.');
+        if (!secret || !ObjectId.isValid(sessionId)) {
+            return res.status(401).json({ message: 'Invalid refresh token.' });
+        }
+        const session = await db.collection('auth_sessions').findOne({ _id: new ObjectId(sessionId) });
+        if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+            return res.status(401).json({ message: 'Session has ended. Please log in again.' });
+        }
+        if (session.tokenHash !== hashToken(secret)) {
+            // An old refresh token came back: someone else may hold a copy, so end the session for everyone
+            await revokeAuthSessions({ _id: session._id }, 'RefreshTokenReuse');
+            return res.status(401).json({ message: 'Refresh token has already been used. Please log in again.' });
+        }
+
+        const user = await findUserAccount(session.role, session.userId);
+        if (!user) {
+            await revokeAuthSessions({ _id: session._id }, 'AccountRemoved');
+            return res.status(401).json({ message: 'Account no longer exists.' });
+        }
+        const restriction = accountRestriction(user);
+        if (restriction) {
+            if (user.IsBlocked) {
+                await revokeAuthSessions({ _id: session._id }, 'Blocked');
+            }
+            return res.status(403).json(restriction);
+        }
+
+        // Rotate: only the request that swaps out the current hash gets the new tokens
+        const { tokenHash, tokens } = issueTokenPair({ ...user, role: session.role }, session._id);
+        const rotated = await db.collection('auth_sessions').updateOne(
+            { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+            { $set: { tokenHash, lastUsedAt: new Date() } }
+        );
+        if (rotated.matchedCount === 0) {
+            await revokeAuthSessions({ _id: session._id }, 'RefreshTokenReuse');
+            return res.status(401).json({ message: 'Refresh token has already been used. Please log in again.' });
+        }
+        res.status(200).json(tokens);
+    } catch (error) {
+        console.error("Error refreshing token:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Logout
+// Endpoint: /auth/logout
+// Method: POST
+// Body: { allSessions (optional) } - ends this session, or every session of the user
+app.post('/auth/logout', authenticateToken, async (req, res) => {
+    try {
+        const body = req.body || {};
+        let revoked;
+        if (body.allSessions) {
+            revoked = await revokeAuthSessions({ userId: new ObjectId(req.user.id), role: req.user.role }, 'Logout');
+        } else {
+            revoked = await revokeAuthSessions({ _id: new ObjectId(req.user.sid) }, 'Logout');
+        }
+        res.status(200).json({ message: 'Logged out', revokedSessions: revoked });
+    } catch (error) {
+        console.error("Error during logout:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Request Verification Code
+// Endpoint: /auth/verification/send
+// Method: POST
+// Body: { channel: 'email' | 'phone' }
+app.post('/auth/verification/send', authenticateToken, async (req, res) => {
+    try {
+        const { channel } = req.body || {};
+        if (!VERIFICATION_CHANNELS[channel]) {
+            return res.status(400).json({ message: `channel must be one of: ${Object.keys(VERIFICATION_CHANNELS).join(', ')}.` });
+        }
+        const account = await findUserAccount(req.user.role, new ObjectId(req.user.id));
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+        if (account[VERIFICATION_CHANNELS[channel].flag]) {
+            return res.status(409).json({ message: `Your ${channel} is already verified.` });
+        }
+        if (!account[VERIFICATION_CHANNELS[channel].field]) {
+            return res.status(400).json({ message: `Your account has no ${channel} to verify.` });
+        }
+
+        await sendVerificationCode(req.user.role, account, channel);
+        res.status(200).json({ message: `Verification code sent to your ${channel}.`, expiresInMinutes: VERIFICATION_CODE_TTL_MINUTES });
+    } catch (error) {
+        console.error("Error sending verification code:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Confirm Verification Code
+// Endpoint: /auth/verification/confirm
+// Method: POST
+// Body: { channel: 'email' | 'phone', code }
+app.post('/auth/verification/confirm', authenticateToken, async (req, res) => {
+    try {
+        const { channel, code } = req.body || {};
+        if (!VERIFICATION_CHANNELS[channel] || !code) {
+            return res.status(400).json({ message: 'channel and code are required.' });
+        }
+        const userId = new ObjectId(req.user.id);
+        const record = await db.collection('verification_codes').findOne(
+            { userId, role: req.user.role, channel, usedAt: null, expiresAt: { $gt: new Date() } },
+            { sort: { createdAt: -1 } }
+        );
+        if (!record) {
+            return res.status(400).json({ message: 'No active verification code. Please request a new one.' });
+        }
+        if (record.codeHash !== hashToken(String(code).trim())) {
+            // Too many wrong guesses use the code up
+            const attempts = record.attempts + 1;
+            await db.collection('verification_codes').updateOne(
+                { _id: record._id },
+                { $set: { attempts, ...(attempts >= VERIFICATION_MAX_ATTEMPTS ? { usedAt: new Date() } : {}) } }
+            );
+            return res.status(400).json({
+                message: attempts >= VERIFICATION_MAX_ATTEMPTS
+                    ? 'Too many incorrect attempts. Please request a new code.'
+                    : 'Incorrect verification code.'
+            });
+        }
+
+        // Single use: only one request can consume the code
+        const consumed = await db.collection('verification_codes').updateOne(
+            { _id: record._id, usedAt: null },
+            { $set: { usedAt: new Date() } }
+        );
+        if (consumed.modifiedCount === 0) {
+            return res.status(400).json({ message: 'This code has already been used.' });
+        }
+        // The contact must still be the one the code was sent to
+        const { field, flag } = VERIFICATION_CHANNELS[channel];
+        const result = await db.collection(USER_COLLECTIONS[req.user.role]).updateOne(
+            { _id: userId, [field]: record.destination },
+            { $set: { [flag]: true, [`${flag}At`]: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ message: `Your ${channel} has changed since the code was sent. Please request a new one.` });
+        }
+        res.status(200).json({ message: `Your ${channel} has been verified.` });
+    } catch (error) {
+        console.error("Error confirming verification code:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Forgot Password
+// Endpoint: /auth/password/forgot
+// Method: POST
+// Body: { email } - always answers the same way so it cannot be used to find out who has an account
+app.post('/auth/password/forgot', loginRateLimit('auth.password.forgot', { checksPassword: false }), async (req, res) => {
+    try {
+        const { email } = req.body || {};
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required.' });
+        }
+        for (const [role, collection] of Object.entries(USER_COLLECTIONS)) {
+            const account = await db.collection(collection).findOne({ email }, { projection: { email: 1 } });
+            if (!account) continue;
+
+            const resetId = new ObjectId();
+            const secret = crypto.randomBytes(32).toString('base64url');
+            const now = new Date();
+            await db.collection('password_resets').insertOne({
+                _id: resetId,
+                userId: account._id,
+                role,
+                tokenHash: hashToken(secret),
+                createdAt: now,
+                expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+                usedAt: null
+            });
+            await notifier.send({
+                channel: 'email',
+                to: account.email,
+                subject: `Reset your MyTaxi ${role} password`,
+                text: `Use this token to reset your password within ${PASSWORD_RESET_TTL_MINUTES} minutes: ${resetId}.${secret}`
+            });
+        }
+        res.status(200).json({ message: 'If an account exists for this email, a password reset link has been sent.' });
+    } catch (error) {
+        console.error("Error starting password reset:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Reset Password
+// Endpoint: /auth/password/reset
+// Method: POST
+// Body: { token, password } - the token is single-use; every session of the account is logged out
+app.post('/auth/password/reset', loginRateLimit('auth.password.reset', { checksPassword: false }), async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+        const [resetId, secret] = String(token || '').split('.');
+        if (!secret || !ObjectId.isValid(resetId) || !password) {
+            return res.status(400).json({ message: 'A valid reset token and new password are required.' });
+        }
+
+        const reset = await db.collection('password_resets').findOneAndUpdate(
+            { _id: new ObjectId(resetId), tokenHash: hashToken(secret), usedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } }
+        );
+        if (!reset) {
+            return res.status(400).json({ message: 'Reset token is invalid, expired or already used.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const account = await db.collection(USER_COLLECTIONS[reset.role]).findOneAndUpdate(
+            { _id: reset.userId },
+            { $set: { password: hashedPassword, passwordChangedAt: new Date() } },
+            { projection: { email: 1 } }
+        );
+        // A successful reset proves ownership, so any login lockout is lifted
+        if (account) {
+            await rateLimitStore.delete(loginAccountKey(account.email));
+        }
+        // Any other outstanding reset tokens for the account stop working too
+        await db.collection('password_resets').updateMany(
+            { userId: reset.userId, role: reset.role, usedAt: null },
+            { $set: { usedAt: new Date() } }
+        );
+        await revokeAuthSessions({ userId: reset.userId, role: reset.role }, 'PasswordReset');
+        res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        console.error("Error resetting password:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// --- Customer Use Cases ---
+
+// Use Case: Register
+// Endpoint: /customer/register
+// Method: POST
+// Body: { username, password, email, phone_no, referralCode (optional, another customer's code) }
+app.post('/customer/register', async (req, res) => {
+    try {
+        const { username, password, email, phone_no, referralCode } = req.body || {};
+        if (!username || !email || !password || !phone_no) {
+            return res.status(400).json({ message: 'All fields are required for registration.' });
+        }
+
+        // Both customers are credited once the new customer completes their first ride
+        let referrer = null;
+        if (referralCode) {
+            referrer = await db.collection('customers').findOne(
+                { ReferralCode: String(referralCode).toUpperCase() },
+                { projection: { _id: 1 } }
+            );
+            if (!referrer) {
+                return res.status(400).json({ message: 'Referral code is not valid.' });
+            }
+        }
+
+        const customersCollection = db.collection('customers');
+        const existingCustomer = await db.collection('customers').findOne({ email });
+        if (existingCustomer) {
+            return res.status(409).json({ message: 'Customer with this email already exists.' });
+        }
+
+        // Hash the password before storing
+        const hashedPassword = await bcrypt.hash(password, 10); // 10 is the salt rounds
+        const ownReferralCode = generateReferralCode(); // Shared by this customer to refer others
+
+        const result = await customersCollection.insertOne({
+            username,
+            password: hashedPassword, // Store hashed password
+            email,
+            phone_no,
+            joined_date: new Date(),
+            role: 'customer', // Assign role
+            ReferralCode: ownReferralCode,
+            ReferredBy: referrer ? referrer._id : null,
+            ReferralStatus: referrer ? 'Pending' : null, // Pending until the first completed ride, then Rewarded
+            EmailVerified: false,
+            PhoneVerified: false
+        });
+        sendRegistrationCodes('customer', { _id: result.insertedId, email, phone_no });
+        res.status(201).json({
+            message: 'Registration successful. Enter the codes sent to your email and phone to verify your account.',
+            customerId: result.insertedId,
+            referralCode: ownReferralCode
+        });
+    } catch (err) {
+        console.error("Error registering customer:", err);
+        res.status(400).json({ error: "Invalid registration data" });
+    }
+});
+
+// Use Case: Login
+// Endpoint: /customer/login
+// Method: GET
+// Deprecated: use POST /auth/login. Kept for old clients; issues a normal session (access + refresh token).
+app.get('/customer/login', loginRateLimit('customer.login'), async (req, res) => {
+    try {
+        await legacyLogin('customer', req, res, 'Login successful');
+    } catch (error) {
+        console.error("Error during login:", error);
+        res.status(500).json({ error: "Login failed" });
+    }
+});
+
+// Fields a customer (or an admin on their behalf) may change through PATCH /customer/:customerId
+const CUSTOMER_PROFILE_FIELDS = ['username', 'email', 'phone_no', 'password'];
+
+// Use Case: Manage Profile (Update Profile)
+// Endpoint: /customer/:customerId
+// Method: PATCH
+app.patch('/customer/:customerId', authenticateToken, authorizeScoped('customer:update', isSelf('customerId')), async (req, res) => {
+    try {
+        const customerId = req.params.customerId;
+
+        // Only profile fields are editable here; balances, referral, verification and moderation fields are
+        // maintained by their own flows
+        const body = req.body || {};
+        const updateData = {};
+        for (const field of CUSTOMER_PROFILE_FIELDS) {
+            if (body[field] !== undefined) updateData[field] = body[field];
+        }
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({ message: `Nothing to update. Editable fields: ${CUSTOMER_PROFILE_FIELDS.join(', ')}.` });
+        }
+        // A changed contact must be verified again through /auth/verification/confirm
+        if (updateData.email !== undefined) updateData.EmailVerified = false;
+        if (updateData.phone_no !== undefined) updateData.PhoneVerified = false;
+        if (updateData.password) {
+            updateData.password = await bcrypt.hash(updateData.password, 10); // Re-hash new password if provided
+        }
+
+        const result = await db.collection('customers').updateOne(
+            { _id: new ObjectId(customerId) },
+            { $set: updateData }
+        );
+        if (result.matchedCount > 0) {
+            res.status(200).json({ message: 'Customer profile updated successfully' });
+        } else {
+            res.status(404).json({ message: 'Customer not found' });
+        }
+    } catch (error) {
+        console.error("Error updating customer profile:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Referral Code
+// Endpoint: /customer/referral
+// Method: GET
+app.get('/customer/referral', authenticateToken, authorize('referral:view:own'), async (req, res) => {
+    try {
+        const customerId = new ObjectId(req.user.id);
+        let customer = await db.collection('customers').findOne({ _id: customerId }, { projection: { ReferralCode: 1 } });
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+        // Customers who registered before referrals existed get a code the first time they ask
+        if (!customer.ReferralCode) {
+            customer = await db.collection('customers').findOneAndUpdate(
+                { _id: customerId, ReferralCode: { $exists: false } },
+                { $set: { ReferralCode: generateReferralCode() } },
+                { returnDocument: 'after', projection: { ReferralCode: 1 } }
+            ) || await db.collection('customers').findOne({ _id: customerId }, { projection: { ReferralCode: 1 } });
+        }
+
+        const referrals = await db.collection('customers')
+            .find({ ReferredBy: customerId }, { projection: { username: 1, joined_date: 1, ReferralStatus: 1 } })
+            .sort({ joined_date: -1 })
+            .toArray();
+        res.status(200).json({
+            referralCode: customer.ReferralCode,
+            refereeCredit: REFERRAL_REFEREE_CREDIT,
+            referrerCredit: REFERRAL_REFERRER_CREDIT,
+            referrals
+        });
+    } catch (error) {
+        console.error("Error fetching referral details:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: List Ride Types
+// Endpoint: /ride/types
+// Method: GET
+app.get('/ride/types', authenticateToken, authorize('ride:book'), async (req, res) => {
+    try {
+        const categories = await db.collection('vehicle_categories')
+            .find({ Active: true }, { projection: { _id: 0, Code: 1, Name: 1, Capacity: 1 } })
+            .sort({ Capacity: 1, Name: 1 })
+            .toArray();
+        res.status(200).json(categories.map(category => ({
+            rideType: category.Code,
+            name: category.Name,
+            capacity: category.Capacity
+        })));
+    } catch (error) {
+        console.error("Error fetching ride types:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Estimate Fare
+// Endpoint: /ride/estimate
+// Method: POST
+// Body: { PickupLocation, Destination, Stops, rideType, passengers, promoCode } (last three optional)
+app.post('/ride/estimate', authenticateToken, authorize('ride:book'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { error, details, pickup, destination, stops } = resolveTripLocations(req.body || {});
+        if (error) {
+            return res.status(400).json({ message: error, ...details });
+        }
+        const pickupZone = await resolvePickupZone(pickup);
+        if (pickupZone.error) {
+            return res.status(400).json({ message: pickupZone.error, ...pickupZone.details });
+        }
+        const rideType = await resolveRideType(req.body || {});
+        if (rideType.error) {
+            return res.status(rideType.status).json({ message: rideType.error });
+        }
+
+        const { route, breakdown: baseBreakdown } = await calculateFare(pickup, destination, stops, { category: rideType.category });
+        let breakdown = baseBreakdown;
+        // A promo code applied here is carried in the quote and redeemed when the ride is booked
+        if (body.promoCode) {
+            const evaluated = await evaluatePromo(body.promoCode, req.user.id, baseBreakdown.total);
+            if (evaluated.error) {
+                return res.status(evaluated.status).json({ message: evaluated.error });
+            }
+            breakdown = applyPromoDiscount(baseBreakdown, evaluated.promo, evaluated.discount);
+        }
+        const { quoteId, expiresAt } = signFareQuote(req.user.id, { pickup, destination, stops }, breakdown);
+
+        res.status(200).json({
+            quoteId,
+            expiresAt,
+            fare: breakdown.total,
+            fareRange: {
+                min: roundMoney(breakdown.total * FARE_RANGE_LOW),
+                max: roundMoney(breakdown.total * FARE_RANGE_HIGH)
+            },
+            distanceKm: route.distanceKm,
+            etaMinutes: route.durationMin,
+            surgeMultiplier: breakdown.surgeMultiplier,
+            fareBreakdown: breakdown
+        });
+    } catch (error) {
+        console.error("Error estimating fare:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Book Ride
+// Endpoint: /ride/book
+// Method: POST
+// Body: { PickupLocation, Destination, Stops, quoteId, scheduledFor, paymentMethod, promoCode, rideType, passengers }
+// Only drivers with an approved vehicle of the requested rideType are dispatched; without one, any driver may be.
+app.post('/ride/book', authenticateToken, authorize('ride:book'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        // Customer ID is taken from the authenticated user's JWT
+        const customerId = req.user.id; 
+        if (!await requireVerifiedAccount(req, res, 'book rides')) return;
+        const { error, details, pickup, destination, stops } = resolveTripLocations(req.body || {});
+        if (error) {
+            return res.status(400).json({ message: error, ...details });
+        }
+        // Pickups must be inside an active service zone (once zones have been set up)
+        const { error: zoneError, details: zoneDetails, zone } = await resolvePickupZone(pickup);
+        if (zoneError) {
+            return res.status(400).json({ message: zoneError, ...zoneDetails });
+        }
+        const { status: rideTypeStatus, error: rideTypeError, category, passengers } = await resolveRideType(req.body || {});
+        if (rideTypeError) {
+            return res.status(rideTypeStatus).json({ message: rideTypeError });
+        }
+
+        // A quote from /ride/estimate locks in the price the customer saw
+        let quote = null;
+        if (body.quoteId) {
+            const verified = verifyFareQuote(body.quoteId, customerId, { pickup, destination, stops });
+            if (verified.error) {
+                return res.status(verified.status).json({ message: verified.error });
+            }
+            quote = verified.quote;
+            if ((quote.breakdown.rideType || null) !== (category ? category.Code : null)) {
+                return res.status(400).json({ message: 'rideType does not match the quote. Request a new estimate to change it.' });
+            }
+            if (await db.collection('rides').findOne({ QuoteId: quote.jti }, { projection: { _id: 1 } })) {
+                return res.status(409).json({ message: 'This quote has already been used to book a ride.' });
+            }
+        }
+
+        const { paymentMethod } = req.body || {};
+        if (paymentMethod !== undefined && !PAYMENT_PROVIDERS[paymentMethod]) {
+            return res.status(400).json({ message: `paymentMethod must be one of: ${Object.keys(PAYMENT_PROVIDERS).join(', ')}.` });
+        }
+
+        // Advance bookings are stored as Scheduled and dispatched later by the scheduler
+        let scheduledFor = null;
+        if (body.scheduledFor) {
+            const parsed = parseScheduledFor(body.scheduledFor);
+            if (parsed.error) {
+                return res.status(400).json({ message: parsed.error });
+            }
+            scheduledFor = parsed.scheduledFor;
+        }
+
+        // Offer an immediate ride to the nearest available driver; they have OFFER_TIMEOUT_SECONDS to accept
+        const pickupPoint = toGeoPoint(pickup);
+        let offer = null;
+        if (!scheduledFor) {
+            const candidate = await findNextCandidate(pickupPoint, [], {
+                zoneId: zone ? zone._id : null,
+                categoryId: category ? category._id : null
+            });
+            if (!candidate) {
+                return sendNoDriversAvailable(res);
+            }
+            offer = buildRideOffer(candidate, pickupPoint, 0);
+        }
+        const initialStatus = scheduledFor ? 'Scheduled' : 'Pending';
+
+        let breakdown = quote ? quote.breakdown : (await calculateFare(pickup, destination, stops, { category })).breakdown;
+
+        // Promo code from the quote, or given at booking; checked against the fare before any discount
+        const quotedPromo = quote ? breakdown.promoCode || null : null;
+        if (quotedPromo && body.promoCode && String(body.promoCode).toUpperCase() !== quotedPromo) {
+            return res.status(400).json({ message: 'promoCode does not match the quote. Request a new estimate to change it.' });
+        }
+        const promoCode = quotedPromo || body.promoCode || null;
+        let promo = null;
+        if (promoCode) {
+            const undiscounted = quotedPromo ? breakdown.totalBeforeDiscount : breakdown.total;
+            promo = await evaluatePromo(promoCode, customerId, undiscounted);
+            if (promo.error) {
+                return res.status(promo.status).json({ message: promo.error });
+            }
+            if (!quotedPromo) {
+                breakdown = applyPromoDiscount(breakdown, promo.promo, promo.discount);
+            }
+        }
+        const fare = breakdown.total;
+        const rideId = new ObjectId();
+        const promoApplied = promo ? { code: breakdown.promoCode, discount: breakdown.discount } : null;
+        if (promo) {
+            await redeemPromo(promo.promo, customerId, rideId, breakdown.discount);
+        }
+
+        // Wallet rides reserve the estimated fare now; payment captures it and cancellation releases it
+        let walletHold = null;
+        if (paymentMethod === 'wallet') {
+            walletHold = await placeWalletHold(new ObjectId(customerId), rideId, fare);
+            if (!walletHold) {
+                await releaseRidePromo({ _id: rideId, Promo: promoApplied });
+                return res.status(402).json({ message: `Insufficient wallet balance. RM${fare.toFixed(2)} is needed for this ride.` });
+            }
+        }
+
+        const rideData = {
+            _id: rideId,
+            customerId: new ObjectId(customerId),
+            driverId: null, // Set when a driver accepts the offer
+            PickupLocation: pickup.name,
+            Destination: destination.name,
+            PickupPoint: pickupPoint,
+            DestinationPoint: toGeoPoint(destination),
+            // Intermediate stops in visiting order; the driver confirms arrival and departure at each
+            Stops: stops.map((stop, index) => ({
+                index,
+                name: stop.name,
+                Point: toGeoPoint(stop),
+                Status: 'Pending' // Pending, Arrived, Departed
+            })),
+            Status: initialStatus, // Scheduled, Pending, Accepted, DriverArrived, Started, Completed, Cancelled (see RIDE_TRANSITIONS)
+            paymentStatus: 'Pending', // Initial payment status
+            Fare: fare,
+            FareBreakdown: breakdown,
+            ZoneId: zone ? zone._id : null, // Service zone of the pickup; only drivers approved for it are dispatched
+            RideType: category ? category.Code : null,
+            VehicleCategoryId: category ? category._id : null,
+            Passengers: passengers,
+            SurgeMultiplier: breakdown.surgeMultiplier || 1, // Locked in at booking (from the quote if one was used)
+            Promo: promoApplied, // { code, discount } when a promo code was redeemed
+            QuoteId: quote ? quote.jti : null,
+            BookingTime: new Date(),
+            ScheduledFor: scheduledFor,
+            statusHistory: [rideHistoryEntry(null, initialStatus, req.user)],
+            currentOffer: offer,
+            offers: offer ? [offer] : [],
+            PaymentMethod: paymentMethod || null,
+            WalletHoldId: walletHold ? walletHold._id : null
+        };
+        let result;
+        try {
+            result = await db.collection('rides').insertOne(rideData);
+        } catch (err) {
+            // Don't leave money held or a promo used up for a ride that was never created
+            await releaseCancelledRideHold(rideData);
+            await releaseRidePromo(rideData);
+            // Another request booked with the same quote between the check above and this insert
+            if (err.code === 11000 && err.keyPattern && err.keyPattern.QuoteId) {
+                return res.status(409).json({ message: 'This quote has already been used to book a ride.' });
+            }
+            throw err;
+        }
+        if (offer) {
+            publishRideOffer(rideData, offer);
+        }
+
+        res.status(201).json({
+            message: scheduledFor
+                ? 'Ride scheduled successfully'
+                : 'Ride booked successfully. Waiting for a driver to accept.',
+            rideId: result.insertedId,
+            status: initialStatus,
+            scheduledFor,
+            fare,
+            surgeMultiplier: breakdown.surgeMultiplier || 1,
+            fareBreakdown: breakdown
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error("Error booking ride:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Loads a ride by :rideId and checks the caller may use it for `action` (its :own permission covers the
+// ride's customer). Sends the error response itself and returns null when the ride cannot be used.
+async function findCustomerRide(req, res, action) {
+    const ride = await db.collection('rides').findOne({ _id: new ObjectId(req.params.rideId) });
+    if (!ride) {
+        res.status(404).json({ message: 'Ride not found.' });
+        return null;
+    }
+    // Data Ownership Check: Customers can only manage their own rides
+    if (!canAccess(req, action, ownsRecord('customerId'), ride)) {
+        res.status(403).json({ message: 'Access denied. You can only manage your own rides.' });
+        return null;
+    }
+    return ride;
+}
+
+// Use Case: Cancel Ride (also cancels scheduled rides)
+// Endpoint: /ride/cancel/:rideId
+// Method: PATCH
+app.patch('/ride/cancel/:rideId', authenticateToken, authorize('ride:cancel:own'), async (req, res) => {
+    try {
+        const ride = await findCustomerRide(req, res, 'ride:cancel');
+        if (!ride) return;
+        if (ride.Status === 'Started') {
+            return res.status(409).json({ message: 'The trip has already started and can no longer be cancelled. Ask the driver to end it at your stop.' });
+        }
+
+        const { fee, reason } = customerCancellationFee(ride);
+
+        // Withdraw any offer still waiting on a driver so it shows up in the offer trail
+        const set = {
+            ...(ride.currentOffer ? closeOfferSet(ride, 'Withdrawn') : {}),
+            CancelledBy: 'customer',
+            CancellationFee: fee
+        };
+        const transition = await transitionRide(ride, 'Cancelled', req.user, { set, note: reason });
+        if (!transition.ok) {
+            return res.status(transition.status).json({ message: transition.message });
+        }
+
+        // The fee (if any) is taken from the wallet hold; otherwise the hold is simply released
+        let feePaymentId = null;
+        let feeStatus = null;
+        if (fee > 0) {
+            ({ paymentId: feePaymentId, status: feeStatus } = await chargeCancellationFee(ride, fee));
+            await db.collection('rides').updateOne({ _id: ride._id }, { $set: { CancellationFeePaymentId: feePaymentId } });
+        } else {
+            await releaseCancelledRideHold(ride);
+        }
+        await releaseRidePromo(ride);
+
+        // Release the assigned driver back to 'Available'
+        if (ride.driverId) {
+             await db.collection('drivers').updateOne(
+                { _id: ride.driverId },
+                { $set: { Status: 'Available' } }
+            );
+        }
+
+        res.status(200).json({
+            message: 'Ride cancelled successfully',
+            cancellationFee: fee,
+            cancellationReason: reason,
+            paymentId: feePaymentId,
+            paymentStatus: feeStatus // Pending: the fee is outstanding on the account
+        });
+    } catch (error) {
+        console.error("Error cancelling ride:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Scheduled Rides
+// Endpoint: /ride/scheduled
+// Method: GET
+app.get('/ride/scheduled', authenticateToken, authorize('ride:book'), async (req, res) => {
+    try {
+        const rides = await db.collection('rides')
+            .find({ customerId: new ObjectId(req.user.id), Status: 'Scheduled' })
+            .sort({ ScheduledFor: 1 })
+            .toArray();
+        res.status(200).json(rides);
+    } catch (error) {
+        console.error("Error fetching scheduled rides:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Reschedule Ride
+// Endpoint: /ride/scheduled/:rideId
+// Method: PATCH
+app.patch('/ride/scheduled/:rideId', authenticateToken, authorize('ride:reschedule:own'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const ride = await findCustomerRide(req, res, 'ride:reschedule');
+        if (!ride) return;
+
+        if (ride.Status !== 'Scheduled') {
+            return res.status(409).json({ message: `Only scheduled rides can be rescheduled. This ride is ${ride.Status}.` });
+        }
+        const { error, scheduledFor } = parseScheduledFor(body.scheduledFor);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        // Still Scheduled, so the dispatcher has not picked it up in the meantime
+        const result = await db.collection('rides').updateOne(
+            { _id: ride._id, Status: 'Scheduled' },
+            {
+                $set: { ScheduledFor: scheduledFor },
+                $push: { statusHistory: rideHistoryEntry('Scheduled', 'Scheduled', req.user, `Rescheduled to ${scheduledFor.toISOString()}`) }
+            }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ message: 'Ride is already being dispatched and can no longer be rescheduled.' });
+        }
+        res.status(200).json({ message: 'Ride rescheduled successfully', scheduledFor });
+    } catch (error) {
+        console.error("Error rescheduling ride:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Ride History (Customer)
+// Endpoint: /customer/rides
+// Method: GET (Changed endpoint to be more generic for customer's own rides)
+app.get('/customer/rides', authenticateToken, authorize('ride:view:own'), async (req, res) => {
+    try {
+        const customerId = req.user.id; // Customer ID from authenticated user
+        // Stops are stored in visiting order, so each ride lists them as travelled; Tips[] lists any tip given
+        const rides = await db.collection('rides').find({ customerId: new ObjectId(customerId) }).sort({ BookingTime: -1 }).toArray();
+        res.status(200).json(rides);
+    } catch (error) {
+        console.error("Error fetching customer ride history:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Give Rating
+// Endpoint: /rating
+// Method: POST
+// Body: { rideId, rating, tip (optional): { amount, method, cardToken } } - once per completed ride
+app.post('/rating', authenticateToken, authorize('ride:rate:own'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const customerId = req.user.id; // Customer ID from authenticated user
+        const { rideId, rating } = req.body || {};
+        if (!rideId || !ObjectId.isValid(rideId) || !rating) {
+            return res.status(400).json({ message: 'A valid Ride ID and Rating are required.' });
+        }
+        if (rating < 1 || rating > 5) {
+            return res.status(400).json({ message: 'Rating must be between 1 and 5.' });
+        }
+
+        const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
+        if (!ride) {
+            return res.status(404).json({ message: 'Ride not found.' });
+        }
+        // Data Ownership Check: Only the ride's customer can rate it
+        if (!canAccess(req, 'ride:rate', ownsRecord('customerId'), ride)) {
+            return res.status(403).json({ message: 'Access denied. You can only rate your own rides.' });
+        }
+        if (ride.Status !== 'Completed' || !ride.driverId) {
+            return res.status(409).json({ message: 'Only completed rides can be rated.' });
+        }
+        const driverId = ride.driverId; // The rated driver is always the one who drove the ride
+
+        let result;
+        try {
+            result = await db.collection('ratings').insertOne({
+                customerId: new ObjectId(customerId),
+                driverId,
+                rideId: ride._id,
+                rating,
+                timestamp: new Date()
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'This ride has already been rated.' });
+            }
+            throw error;
+        }
+
+        // Update driver's average rating (simplified)
+        const driverRatings = await db.collection('ratings').find({ driverId }).toArray();
+        const totalRating = driverRatings.reduce((sum, r) => sum + r.rating, 0);
+        const averageRating = totalRating / driverRatings.length;
+
+        await db.collection('drivers').updateOne(
+            { _id: driverId },
+            { $set: { Rating: averageRating.toFixed(2) } }
+        );
+
+        // A tip sent with the rating goes through the same path as POST /ride/:rideId/tip. The rating is
+        // already saved, so a failed tip is reported next to it rather than failing the request.
+        if (body.tip) {
+            let tip;
+            try {
+                tip = await tipRide(req, rideId, body.tip);
+            } catch (error) {
+                if (!error.status) throw error;
+                tip = { status: error.status, body: { message: error.message } };
+            }
+            return res.status(201).json({
+                message: 'Rating submitted successfully',
+                ratingId: result.insertedId,
+                tip: { statusCode: tip.status, ...tip.body }
+            });
+        }
+
+        res.status(201).json({ message: 'Rating submitted successfully', ratingId: result.insertedId });
+    } catch (error) {
+        console.error("Error submitting rating:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Tip Driver
+// Endpoint: /ride/:rideId/tip
+// Method: POST
+// Body: { amount, method: 'cash' | 'wallet' | 'card', cardToken (card only) }
+// Headers: Idempotency-Key (optional, recommended)
+app.post('/ride/:rideId/tip', authenticateToken, authorize('ride:tip:own'), async (req, res) => {
+    let idempotency = null;
+    try {
+        if (!ObjectId.isValid(req.params.rideId)) {
+            return res.status(400).json({ message: 'A valid Ride ID is required.' });
+        }
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey) {
+            const claim = await beginIdempotentRequest(`POST /ride/${req.params.rideId}/tip`, req.user.id, idempotencyKey, req.body || {});
+            if (claim.replay) {
+                return res.status(claim.replay.statusCode).json(claim.replay.body);
+            }
+            if (claim.error) {
+                return res.status(claim.status).json({ message: claim.error });
+            }
+            idempotency = claim.record;
+        }
+
+        const { status, body } = await tipRide(req, req.params.rideId, req.body || {});
+        await completeIdempotentRequest(idempotency, status, body);
+        res.status(status).json(body);
+    } catch (error) {
+        if (error.status) {
+            const body = { message: error.message };
+            await completeIdempotentRequest(idempotency, error.status, body);
+            return res.status(error.status).json(body);
+        }
+        console.error("Error tipping driver:", error);
+        await completeIdempotentRequest(idempotency, 500).catch(() => {});
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Make Payment
+// Endpoint: /payment
+// Method: POST
+// Body: { rideId, method: 'cash' | 'wallet' | 'card', cardToken (card only) }
+// Headers: Idempotency-Key (optional, recommended) - retries with the same key return the original response
+app.post('/payment', authenticateToken, authorize('payment:pay:own'), async (req, res) => {
+    let idempotency = null;
+    // Sends the response and remembers it against the Idempotency-Key, if one was given
+    const respond = async (statusCode, body) => {
+        await completeIdempotentRequest(idempotency, statusCode, body);
+        return res.status(statusCode).json(body);
+    };
+
+    try {
+        // Customer ID from authenticated user
+        const customerId = req.user.id; 
+        const { rideId, method, cardToken } = req.body || {};
+        if (!rideId || !ObjectId.isValid(rideId)) {
+            return res.status(400).json({ message: 'A valid Ride ID is required for payment.' });
+        }
+        const provider = PAYMENT_PROVIDERS[method];
+        if (!provider) {
+            return res.status(400).json({ message: `Payment method must be one of: ${Object.keys(PAYMENT_PROVIDERS).join(', ')}.` });
+        }
+
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey) {
+            const claim = await beginIdempotentRequest('POST /payment', customerId, idempotencyKey, req.body || {});
+            if (claim.replay) {
+                return res.status(claim.replay.statusCode).json(claim.replay.body);
+            }
+            if (claim.error) {
+                return res.status(claim.status).json({ message: claim.error });
+            }
+            idempotency = claim.record;
+        }
+
+        const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
+        if (!ride) {
+            return respond(404, { message: 'Ride not found.' });
+        }
+        // Data Ownership Check: Only the ride's customer can pay for it
+        if (!canAccess(req, 'payment:pay', ownsRecord('customerId'), ride)) {
+            return respond(403, { message: 'Access denied. You can only pay for your own rides.' });
+        }
+        // A cancelled ride has no fare to pay, but may still owe its cancellation fee
+        if (ride.Status === 'Cancelled') {
+            const collection = await collectCancellationFee(ride, { method, cardToken, idempotencyKey });
+            return respond(collection.status, collection.body);
+        }
+        if (ride.paymentStatus === 'Paid') {
+            return respond(409, { message: 'This ride has already been paid.', paymentId: ride.paymentId });
+        }
+        if (!PAYABLE_RIDE_PAYMENT_STATUSES.includes(ride.paymentStatus || null)) {
+            return respond(409, { message: 'A payment for this ride is already in progress.', paymentId: ride.paymentId });
+        }
+        // Payment may close out a trip still in progress; any earlier state is a conflict
+        if (ride.Status !== 'Completed' && !canTransitionRide(ride.Status, 'Completed')) {
+            return respond(409, { message: `Ride cannot be paid while ${ride.Status}.` });
+        }
+
+        // The amount always comes from the stored ride, never from the client
+        const amount = roundMoney(Number(ride.Fare));
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return respond(409, { message: 'Ride does not have a valid fare to charge.' });
+        }
+
+        const payment = {
+            _id: new ObjectId(),
+            rideId: ride._id,
+            customerId: ride.customerId,
+            driverId: ride.driverId,
+            Type: 'RideFare',
+            Method: method,
+            Fare: amount,
+            Currency: PAYMENT_CURRENCY,
+            IdempotencyKey: idempotencyKey || null
+        };
+
+        const outcome = await chargePayment(payment, provider, { ride, cardToken }, async (outcome, session) => {
+            if (outcome.status === 'Captured') {
+                await settleRidePayment(ride, payment._id, amount, req.user, session, PAYABLE_RIDE_PAYMENT_STATUSES);
+                return;
+            }
+            // Not captured yet (or failed): record where the payment stands on the ride
+            const update = await db.collection('rides').updateOne(
+                { _id: ride._id, paymentStatus: { $in: PAYABLE_RIDE_PAYMENT_STATUSES } },
+                { $set: { paymentId: payment._id, paymentStatus: RIDE_PAYMENT_STATUS[outcome.status] } },
+                { session }
+            );
+            if (update.matchedCount === 0) {
+                throw paymentConflict('Ride was paid or changed by another request.');
+            }
+        });
+
+        const body = { paymentId: payment._id, amount, method, status: outcome.status };
+        if (outcome.status === 'Captured') {
+            publishRidePaid(ride, payment._id, amount);
+            return respond(201, { message: 'Payment processed successfully', ...body });
+        }
+        if (outcome.status === 'Failed') {
+            return respond(402, { message: `Payment failed: ${outcome.failureReason}`, ...body });
+        }
+        const pendingMessage = method === 'cash'
+            ? 'Cash payment recorded. Waiting for the driver to confirm receipt.'
+            : 'Payment authorized. Waiting for the gateway to confirm capture.';
+        return respond(202, { message: pendingMessage, ...body });
+    } catch (error) {
+        if (error.status) {
+            return respond(error.status, { message: error.message });
+        }
+        console.error("Error processing payment:", error);
+        await completeIdempotentRequest(idempotency, 500).catch(() => {});
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Confirm Cash Payment
+// Endpoint: /payment/:paymentId/confirm-cash
+// Method: PATCH
+app.patch('/payment/:paymentId/confirm-cash', authenticateToken, authorize('payment:confirm-cash:own'), async (req, res) => {
+    try {
+        const payment = await db.collection('payments').findOne({ _id: new ObjectId(req.params.paymentId) });
+        if (!payment) {
+            return res.status(404).json({ message: 'Payment not found.' });
+        }
+        // Data Ownership Check: Only the driver who was paid can confirm the cash
+        if (!canAccess(req, 'payment:confirm-cash', ownsRecord('driverId'), payment)) {
+            return res.status(403).json({ message: 'Access denied. You can only confirm payments for your own rides.' });
+        }
+        if (payment.Method !== 'cash' || payment.Status !== 'Pending') {
+            return res.status(409).json({ message: 'Only pending cash payments can be confirmed.' });
+        }
+
+        await capturePendingPayment(payment, req.user, 'Cash received by driver');
+        res.status(200).json({ message: 'Cash payment confirmed', paymentId: payment._id, status: 'Captured' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error("Error confirming cash payment:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Card Gateway Webhook
+// Endpoint: /payment/webhooks/card
+// Method: POST (called by the card gateway, authenticated by the X-Gateway-Signature HMAC)
+app.post('/payment/webhooks/card', async (req, res) => {
+    try {
+        const signature = req.get('X-Gateway-Signature') || '';
+        const expected = signGatewayPayload(req.rawBody || '');
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return res.status(401).json({ message: 'Invalid webhook signature.' });
+        }
+
+        const { id: eventId, type, data } = req.body || {};
+        // Gateways retry deliveries, so each event is only handled once
+        try {
+            await db.collection('payment_webhook_events').insertOne({ _id: eventId, type, data, receivedAt: new Date() });
+        } catch (err) {
+            if (err.code === 11000) {
+                return res.status(200).json({ received: true, duplicate: true });
+            }
+            throw err;
+        }
+
+        const payment = await db.collection('payments').findOne({ Method: 'card', ProviderRef: data.id });
+        if (!payment) {
+            return res.status(200).json({ received: true }); // Not one of ours (or not recorded yet)
+        }
+
+        if (type === 'charge.captured' && payment.Status === 'Authorized') {
+            await capturePendingPayment(payment, null, 'Capture confirmed by gateway');
+        } else if ((type === 'charge.failed' || type === 'charge.voided') && ['Pending', 'Authorized'].includes(payment.Status)) {
+            const note = type === 'charge.voided' ? 'Authorization voided' : data.failureReason;
+            await db.collection('payments').updateOne(
+                { _id: payment._id, Status: payment.Status },
+                { $set: { Status: 'Failed', FailureReason: note }, $push: { StatusHistory: paymentStatusEntry('Failed', note) } }
+            );
+            if (payment.Type === 'Tip') {
+                await setRideTipStatus(payment, 'Failed');
+            } else {
+                await db.collection('rides').updateOne(
+                    { _id: payment.rideId, paymentId: payment._id, paymentStatus: RIDE_PAYMENT_STATUS[payment.Status] },
+                    { $set: { paymentStatus: 'Failed' } }
+                );
+            }
+        }
+        res.status(200).json({ received: true });
+    } catch (error) {
+        if (error.status) {
+            return res.status(200).json({ received: true, ignored: error.message });
+        }
+        console.error("Error handling card gateway webhook:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Top Up Wallet
+// Endpoint: /wallet/topup
+// Method: POST
+// Body: { amount, cardToken }
+// Headers: Idempotency-Key (optional, recommended)
+app.post('/wallet/topup', authenticateToken, authorize('wallet:manage:own'), async (req, res) => {
+    let idempotency = null;
+    const respond = async (statusCode, body) => {
+        await completeIdempotentRequest(idempotency, statusCode, body);
+        return res.status(statusCode).json(body);
+    };
+
+    try {
+        const body = req.body || {};
+        const customerId = req.user.id;
+        const amount = roundMoney(Number(body.amount));
+        if (!Number.isFinite(amount) || amount < WALLET_TOP_UP_MIN || amount > WALLET_TOP_UP_MAX) {
+            return res.status(400).json({ message: `Top-up amount must be between RM${WALLET_TOP_UP_MIN} and RM${WALLET_TOP_UP_MAX}.` });
+        }
+
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey) {
+            const claim = await beginIdempotentRequest('POST /wallet/topup', customerId, idempotencyKey, req.body || {});
+            if (claim.replay) {
+                return res.status(claim.replay.statusCode).json(claim.replay.body);
+            }
+            if (claim.error) {
+                return res.status(claim.status).json({ message: claim.error });
+            }
+            idempotency = claim.record;
+        }
+
+        // Top-ups are funded by card and must be captured before the balance is credited
+        const topUpId = new ObjectId();
+        const authorization = await cardGateway.authorize({
+            amount,
+            currency: PAYMENT_CURRENCY,
+            token: body.cardToken,
+            reference: `topup:${topUpId}`
+        });
+        if (authorization.status === 'declined') {
+            return respond(402, { message: `Top-up failed: ${authorization.failureReason}` });
+        }
+        const capture = await cardGateway.capture(authorization.id);
+        if (capture.status !== 'captured') {
+            await cardGateway.void(authorization.id);
+            return respond(402, { message: 'Top-up failed: the card payment could not be captured immediately.' });
+        }
+
+        try {
+            await runTransaction(session => applyWalletEntries(new ObjectId(customerId), [
+                { Type: 'TopUp', Amount: amount, topUpId, providerRef: authorization.id }
+            ], session));
+        } catch (error) {
+            await cardGateway.refund(authorization.id, amount).catch(err => console.error("Error refunding failed top-up:", err));
+            throw error;
+        }
+
+        const customer = await db.collection('customers').findOne({ _id: new ObjectId(customerId) }, { projection: { WalletBalance: 1 } });
+        return respond(201, { message: 'Wallet topped up successfully', topUpId, amount, balance: roundMoney(customer.WalletBalance) });
+    } catch (error) {
+        console.error("Error topping up wallet:", error);
+        await completeIdempotentRequest(idempotency, 500).catch(() => {});
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Wallet Balance
+// Endpoint: /wallet
+// Method: GET
+app.get('/wallet', authenticateToken, authorize('wallet:manage:own'), async (req, res) => {
+    try {
+        const customerId = new ObjectId(req.user.id);
+        const customer = await db.collection('customers').findOne({ _id: customerId }, { projection: { WalletBalance: 1 } });
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+        const holds = await db.collection('wallet_holds').find({ customerId, Status: 'Active' }).toArray();
+        // WalletBalance is already net of holds; `held` shows how much of the customer's money is reserved
+        res.status(200).json({
+            available: roundMoney(customer.WalletBalance || 0),
+            held: roundMoney(holds.reduce((sum, hold) => sum + hold.Amount, 0)),
+            holds: holds.map(hold => ({ holdId: hold._id, rideId: hold.rideId, amount: hold.Amount, createdAt: hold.createdAt })),
+            currency: PAYMENT_CURRENCY
+        });
+    } catch (error) {
+        console.error("Error fetching wallet balance:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Wallet Statement
+// Endpoint: /wallet/statement?from=&to=&limit=
+// Method: GET
+app.get('/wallet/statement', authenticateToken, authorize('wallet:manage:own'), async (req, res) => {
+    try {
+        const filter = { customerId: new ObjectId(req.user.id) };
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+        }
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const entries = await db.collection('wallet_ledger').find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit).toArray();
+        res.status(200).json({ entries, currency: PAYMENT_CURRENCY });
+    } catch (error) {
+        console.error("Error fetching wallet statement:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Open Fare Dispute
+// Endpoint: /disputes
+// Method: POST
+app.post('/disputes', authenticateToken, authorize('dispute:create:own'), async (req, res) => {
+    try {
+        const { rideId, reason } = req.body || {};
+        if (!rideId || !ObjectId.isValid(rideId) || !reason || !String(reason).trim()) {
+            return res.status(400).json({ message: 'Ride ID and a reason are required to open a dispute.' });
+        }
+
+        const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
+        if (!ride) {
+            return res.status(404).json({ message: 'Ride not found.' });
+        }
+        // Data Ownership Check: Customers can only dispute their own rides
+        if (!canAccess(req, 'dispute:create', ownsRecord('customerId'), ride)) {
+            return res.status(403).json({ message: 'Access denied. You can only dispute your own rides.' });
+        }
+        if (ride.Status !== 'Completed' || !ride.paymentId) {
+            return res.status(409).json({ message: 'Only completed, paid rides can be disputed.' });
+        }
+        const openDispute = await db.collection('disputes').findOne({ rideId: ride._id, Status: { $in: OPEN_DISPUTE_STATUSES } });
+        if (openDispute) {
+            return res.status(409).json({ message: 'There is already an open dispute for this ride.', disputeId: openDispute._id });
+        }
+
+        const now = new Date();
+        const result = await db.collection('disputes').insertOne({
+            rideId: ride._id,
+            customerId: ride.customerId,
+            driverId: ride.driverId,
+            paymentId: ride.paymentId,
+            reason: String(reason).trim(),
+            Status: 'Open', // Open, UnderReview, Refunding, Resolved, Rejected
+            comments: [],
+            createdAt: now,
+            updatedAt: now
+        });
+        res.status(201).json({ message: 'Dispute opened successfully', disputeId: result.insertedId });
+    } catch (error) {
+        console.error("Error opening dispute:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View My Disputes
+// Endpoint: /disputes
+// Method: GET
+app.get('/disputes', authenticateToken, authorize('dispute:view:own'), async (req, res) => {
+    try {
+        const disputes = await db.collection('disputes')
+            .find({ customerId: new ObjectId(req.user.id) })
+            .sort({ createdAt: -1 })
+            .toArray();
+        res.status(200).json(disputes);
+    } catch (error) {
+        console.error("Error fetching disputes:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Loads a dispute by :disputeId that the caller may use for `action` (dispute:view or dispute:comment):
+// their own with the :own permission, or any with :any. Sends the error response itself and returns null
+// when the dispute cannot be used.
+async function findVisibleDispute(req, res, action) {
+    const dispute = await db.collection('disputes').findOne({ _id: new ObjectId(req.params.disputeId) });
+    if (!dispute) {
+        res.status(404).json({ message: 'Dispute not found.' });
+        return null;
+    }
+    if (!canAccess(req, action, ownsRecord('customerId'), dispute)) {
+        res.status(403).json({ message: 'Access denied. You can only view your own disputes.' });
+        return null;
+    }
+    return dispute;
+}
+
+// Use Case: View Dispute
+// Endpoint: /disputes/:disputeId
+// Method: GET
+app.get('/disputes/:disputeId', authenticateToken, authorize('dispute:view:own', 'dispute:view:any'), async (req, res) => {
+    try {
+        const dispute = await findVisibleDispute(req, res, 'dispute:view');
+        if (!dispute) return;
+        res.status(200).json(dispute);
+    } catch (error) {
+        console.error("Error fetching dispute:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Comment on Dispute
+// Endpoint: /disputes/:disputeId/comments
+// Method: POST
+app.post('/disputes/:disputeId/comments', authenticateToken, authorize('dispute:comment:own', 'dispute:comment:any'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const dispute = await findVisibleDispute(req, res, 'dispute:comment');
+        if (!dispute) return;
+
+        const message = body.message && String(body.message).trim();
+        if (!message) {
+            return res.status(400).json({ message: 'Comment message is required.' });
+        }
+        const comment = disputeComment(req.user, message);
+        await db.collection('disputes').updateOne(
+            { _id: dispute._id },
+            { $push: { comments: comment }, $set: { updatedAt: comment.at } }
+        );
+        res.status(201).json({ message: 'Comment added', commentId: comment._id });
+    } catch (error) {
+        console.error("Error adding dispute comment:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// --- Driver Use Cases ---
+
+// Use Case: Register
+// Endpoint: /driver/register
+// Method: POST
+app.post('/driver/register', async (req, res) => {
+    try {
+        const { username, email, phone_no, car_model, password } = req.body;
+        if (!username || !email || !phone_no || !car_model || !password) {
+            return res.status(400).json({ message: 'All fields are required for driver registration.' });
+        }
+
+        const driversCollection = db.collection('drivers');
+        const existingDriver = await driversCollection.findOne({ email });
+        if (existingDriver) {
+            return res.status(409).json({ message: 'Driver with this email already exists.' });
+        }
+
+        // Hash the password before storing
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const result = await driversCollection.insertOne({
+            username,
+            email,
+            phone_no,
+            car_model,
+            password: hashedPassword, // Store hashed password
+            joined_date: new Date(),
+            Status: 'Offline', // Available, On Trip, Offline; Available only once onboarding documents are approved
+            DocumentsCleared: false, // Kept in step with driver_documents by syncDriverDocumentClearance
+            AcceptedRides: 0,
+            CancelledRides: 0,
+            EmailVerified: false,
+            PhoneVerified: false,
+            role: 'driver' // Assign role
+        });
+        sendRegistrationCodes('driver', { _id: result.insertedId, email, phone_no });
+        res.status(201).json({
+            message: 'Driver registered successfully. Verify your email and phone, and upload your documents for approval before going Available.',
+            driverId: result.insertedId,
+            requiredDocuments: Object.keys(DRIVER_DOCUMENT_TYPES)
+        });
+    } catch (error) {
+        console.error("Error registering driver:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Register Vehicle
+// Endpoint: /driver/vehicles
+// Method: POST
+// Body: { model, year, plateNumber, seats, rideType } - the vehicle waits for admin approval before it is dispatched
+app.post('/driver/vehicles', authenticateToken, authorize('vehicle:register:own'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { model, plateNumber, rideType } = req.body || {};
+        const year = Number(body.year);
+        const seats = Number(body.seats);
+        if (!model || !plateNumber || !rideType) {
+            return res.status(400).json({ message: 'model, year, plateNumber, seats and rideType are required.' });
+        }
+        if (!Number.isInteger(year) || year < 1950 || year > new Date().getFullYear() + 1) {
+            return res.status(400).json({ message: 'year must be a valid model year.' });
+        }
+        if (!Number.isInteger(seats) || seats < 1) {
+            return res.status(400).json({ message: 'seats must be a positive whole number of passenger seats.' });
+        }
+        const category = await db.collection('vehicle_categories').findOne({ Code: rideType, Active: true });
+        if (!category) {
+            return res.status(400).json({ message: 'Unknown ride type.' });
+        }
+
+        const vehicle = {
+            driverId: new ObjectId(req.user.id),
+            Model: String(model).trim(),
+            Year: year,
+            PlateNumber: String(plateNumber).replace(/\s+/g, '').toUpperCase(),
+            Seats: seats,
+            categoryId: category._id,
+            RideType: category.Code
+        };
+        const ineligible = vehicleIneligibility(vehicle, category);
+        if (ineligible) {
+            return res.status(400).json({ message: ineligible });
+        }
+
+        const result = await db.collection('vehicles').insertOne({
+            ...vehicle,
+            Status: 'PendingApproval', // PendingApproval, Approved, Rejected
+            createdAt: new Date()
+        });
+        res.status(201).json({ message: 'Vehicle registered. It can take rides once approved.', vehicleId: result.insertedId });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A vehicle with this plate number is already registered.' });
+        }
+        console.error("Error registering vehicle:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Own Vehicles
+// Endpoint: /driver/vehicles
+// Method: GET
+app.get('/driver/vehicles', authenticateToken, authorize('vehicle:register:own'), async (req, res) => {
+    try {
+        const vehicles = await db.collection('vehicles')
+            .find({ driverId: new ObjectId(req.user.id) })
+            .sort({ createdAt: -1 })
+            .toArray();
+        res.status(200).json(vehicles);
+    } catch (error) {
+        console.error("Error fetching vehicles:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Upload Onboarding Document
+// Endpoint: /driver/documents/:type?expiresAt=YYYY-MM-DD  (type: licence, roadTax, insurance, psv)
+// Method: PUT
+// Body: the file itself (Content-Type application/pdf, image/jpeg or image/png). Replaces any earlier upload
+// of the same type, which then needs approving again.
+app.put('/driver/documents/:type', authenticateToken, authorize('document:upload:own'),
+    express.raw({ type: DOCUMENT_CONTENT_TYPES, limit: DOCUMENT_MAX_BYTES }), async (req, res) => {
+    try {
+        const type = req.params.type;
+        if (!DRIVER_DOCUMENT_TYPES[type]) {
+            return res.status(400).json({ message: `Document type must be one of: ${Object.keys(DRIVER_DOCUMENT_TYPES).join(', ')}.` });
+        }
+        const contentType = (req.get('Content-Type') || '').split(';')[0].trim();
+        if (!DOCUMENT_CONTENT_TYPES.includes(contentType) || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ message: `Upload the document as ${DOCUMENT_CONTENT_TYPES.join(', ')}.` });
+        }
+        const expiresAt = new Date(req.query.expiresAt);
+        if (!req.query.expiresAt || isNaN(expiresAt.getTime())) {
+            return res.status(400).json({ message: 'expiresAt (the document expiry date) is required.' });
+        }
+        if (expiresAt <= new Date()) {
+            return res.status(400).json({ message: 'This document has already expired.' });
+        }
+
+        const driverId = new ObjectId(req.user.id);
+        const previous = await db.collection('driver_documents').findOne({ driverId, Type: type });
+        const storageKey = `${req.user.id}-${type}-${new ObjectId()}`;
+        await documentStorage.save(storageKey, req.body);
+        const now = new Date();
+        await db.collection('driver_documents').updateOne(
+            { driverId, Type: type },
+            {
+                $set: {
+                    StorageKey: storageKey,
+                    ContentType: contentType,
+                    Size: req.body.length,
+                    ExpiresAt: expiresAt,
+                    Status: 'PendingReview', // PendingReview, Approved, Rejected, Expired
+                    ReviewReason: null,
+                    reviewedBy: null,
+                    reviewedAt: null,
+                    uploadedAt: now,
+                    updatedAt: now
+                }
+            },
+            { upsert: true }
+        );
+        if (previous) {
+            await documentStorage.remove(previous.StorageKey)
+                .catch(err => console.error("Error removing replaced document file:", err));
+        }
+        // The new upload needs review before the driver is dispatched again
+        await syncDriverDocumentClearance(driverId);
+        res.status(201).json({ message: `${DRIVER_DOCUMENT_TYPES[type]} uploaded. It will be reviewed shortly.`, type, status: 'PendingReview' });
+    } catch (error) {
+        console.error("Error uploading driver document:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Onboarding Status
+// Endpoint: /driver/documents
+// Method: GET
+app.get('/driver/documents', authenticateToken, authorize('document:upload:own'), async (req, res) => {
+    try {
+        const driverId = new ObjectId(req.user.id);
+        const { cleared, outstanding, documents } = await driverDocumentStatus(driverId);
+        const driver = await db.collection('drivers').findOne({ _id: driverId }, { projection: { DocumentSuspension: 1 } });
+        res.status(200).json({
+            cleared,
+            outstanding,
+            suspension: driver ? driver.DocumentSuspension || null : null,
+            documents: documents.map(({ StorageKey, ...document }) => document)
+        });
+    } catch (error) {
+        console.error("Error fetching driver documents:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Download Onboarding Document
+// Endpoint: /driver/documents/:documentId/file
+// Method: GET (the driver who uploaded it, or an admin)
+app.get('/driver/documents/:documentId/file', authenticateToken, authorize('document:view:own', 'document:view:any'), async (req, res) => {
+    try {
+        const document = await db.collection('driver_documents').findOne({ _id: new ObjectId(req.params.documentId) });
+        // Data Ownership Check: Drivers can only download their own documents
+        if (!document || !canAccess(req, 'document:view', ownsRecord('driverId'), document)) {
+            return res.status(404).json({ message: 'Document not found.' });
+        }
+        const file = await documentStorage.read(document.StorageKey);
+        res.set('Content-Type', document.ContentType);
+        res.status(200).send(file);
+    } catch (error) {
+        console.error("Error downloading driver document:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Login
+// Endpoint: /driver/login
+// Method: GET
+// Deprecated: use POST /auth/login. Kept for old clients; issues a normal session (access + refresh token).
+app.get('/driver/login', loginRateLimit('driver.login'), async (req, res) => {
+    try {
+        await legacyLogin('driver', req, res, 'Driver login successful');
+    } catch (error) {
+        console.error("Error logging in driver:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Manage Profile (Update Profile)
+// Endpoint: /driver/:driverId
+// Method: PATCH
+app.patch('/driver/:driverId', authenticateToken, authorizeScoped('driver:update', isSelf('driverId')), async (req, res) => {
+    try {
+        const driverId = req.params.driverId;
+
+        const updateData = req.body;
+        // Prevent direct updates to _id, joined_date, role, and password (password handled separately)
+        delete updateData._id; 
+        delete updateData.joined_date;
+        delete updateData.role; 
+        // Account moderation fields are only changed through the admin block/unblock/suspend routes
+        for (const field of ['IsBlocked', 'BlockReason', 'BlockedAt', 'SuspendedUntil', 'SuspensionReason']) {
+            delete updateData[field];
+        }
+        // Verification flags are only set by /auth/verification/confirm, and a changed contact must be verified again
+        delete updateData.EmailVerified;
+        delete updateData.PhoneVerified;
+        if (updateData.email !== undefined) updateData.EmailVerified = false;
+        if (updateData.phone_no !== undefined) updateData.PhoneVerified = false;
+        // Service zones and vehicle categories are approved by admins only
+        if (!hasPermission(req, 'driver:update:any')) {
+            delete updateData.ApprovedZoneIds;
+            delete updateData.ApprovedCategoryIds;
+            delete updateData.DocumentSuspension;
+            delete updateData.Status; // Availability goes through /driver/:driverId/availability
+            delete updateData.AcceptedRides; // Cancellation-rate counters are maintained by the ride routes
+            delete updateData.CancelledRides;
+        }
+        // Clearance follows the documents; admins cannot make an uncleared driver Available
+        delete updateData.DocumentsCleared;
+        if (updateData.Status === 'Available') {
+            const driver = await db.collection('drivers').findOne(
+                { _id: new ObjectId(driverId) },
+                { projection: { DocumentsCleared: 1, DocumentSuspension: 1 } }
+            );
+            if (driver && (!driver.DocumentsCleared || driver.DocumentSuspension)) {
+                return res.status(409).json({ message: 'This driver\'s documents are not all approved, so they cannot be set Available.' });
+            }
+        }
+        if (updateData.password) {
+            updateData.password = await bcrypt.hash(updateData.password, 10); // Re-hash new password if provided
+        }
+
+        const result = await db.collection('drivers').updateOne(
+            { _id: new ObjectId(driverId) },
+            { $set: updateData }
+        );
+        if (result.matchedCount > 0) {
+            res.status(200).json({ message: 'Driver profile updated successfully' });
+        } else {
+            res.status(404).json({ message: 'Driver not found' });
+        }
+    } catch (error) {
+        console.error("Error updating driver profile:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Accept Ride
+// Endpoint: /ride/accept/:rideId
+// Method: PATCH
+app.patch('/ride/accept/:rideId', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        const rideId = req.params.rideId;
+        const driverId = req.user.id; // Driver ID from authenticated user
+
+        const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
+        if (!ride) {
+            return res.status(404).json({ message: 'Ride not found.' });
+        }
+        if (!canTransitionRide(ride.Status, 'Accepted')) {
+            return res.status(409).json({ message: 'Ride is not in a pending state and cannot be accepted.' });
+        }
+        // Only the driver currently holding the offer may accept, and only before it expires
+        if (!holdsCurrentOffer(ride, driverId)) {
+            return res.status(403).json({ message: 'This ride is not currently offered to you, or the offer has expired.' });
+        }
+
+        // Check if the driver is already 'On Trip' and prevent them from accepting another ride
+        const currentDriver = await db.collection('drivers').findOne({ _id: new ObjectId(driverId) });
+        if (currentDriver && currentDriver.Status === 'On Trip') {
+            return res.status(400).json({ message: 'You are currently on a trip and cannot accept new rides.' });
+        }
+
+        // Only matches while the ride is still pending with this offer open, so a ride cannot be accepted twice
+        const transition = await transitionRide(ride, 'Accepted', req.user, {
+            set: { driverId: new ObjectId(driverId), ...closeOfferSet(ride, 'Accepted') },
+            filter: { 'currentOffer.index': ride.currentOffer.index }
+        });
+        if (!transition.ok) {
+            return res.status(transition.status).json({ message: 'Ride could not be accepted (already accepted or not pending).' });
+        }
+
+        // Update driver status and count the ride towards their cancellation rate
+        await db.collection('drivers').updateOne(
+            { _id: new ObjectId(driverId) },
+            { $set: { Status: 'On Trip' }, $inc: { AcceptedRides: 1 } }
+        );
+        res.status(200).json({ message: 'Ride accepted successfully' });
+    } catch (error) {
+        console.error("Error accepting ride:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Decline Ride Offer
+// Endpoint: /ride/decline/:rideId
+// Method: PATCH
+app.patch('/ride/decline/:rideId', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        const ride = await db.collection('rides').findOne({ _id: new ObjectId(req.params.rideId) });
+        if (!ride) {
+            return res.status(404).json({ message: 'Ride not found.' });
+        }
+        if (ride.Status !== 'Pending' || !holdsCurrentOffer(ride, req.user.id)) {
+            return res.status(409).json({ message: 'This ride is not currently offered to you, or the offer has expired.' });
+        }
+
+        const declined = await closeOfferAndRedispatch(ride, 'Declined');
+        if (!declined) {
+            return res.status(409).json({ message: 'The offer was already closed.' });
+        }
+        res.status(200).json({ message: 'Ride offer declined' });
+    } catch (error) {
+        console.error("Error declining ride offer:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Ride Offers (Driver)
+// Endpoint: /driver/offers
+// Method: GET
+app.get('/driver/offers', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        const offers = await db.collection('rides').find({
+            Status: 'Pending',
+            'currentOffer.driverId': new ObjectId(req.user.id),
+            'currentOffer.expiresAt': { $gt: new Date() }
+        }).project({ PickupLocation: 1, Destination: 1, Fare: 1, currentOffer: 1 }).toArray();
+        res.status(200).json(offers);
+    } catch (error) {
+        console.error("Error fetching driver offers:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Loads a ride for one of the driver lifecycle endpoints and checks it is assigned to the calling driver.
+// Sends the error response itself and returns null when the ride cannot be used.
+async function findDriverRide(req, res) {
+    const ride = await db.collection('rides').findOne({ _id: new ObjectId(req.params.rideId) });
+    if (!ride) {
+        res.status(404).json({ message: 'Ride not found.' });
+        return null;
+    }
+    // Data Ownership Check: Only the assigned driver can progress the ride
+    if (!canAccess(req, 'ride:drive', ownsRecord('driverId'), ride)) {
+        res.status(403).json({ message: 'You are not the driver assigned to this ride.' });
+        return null;
+    }
+    return ride;
+}
+
+// Use Case: Driver Arrived at Pickup
+// Endpoint: /ride/arrive/:rideId
+// Method: PATCH
+app.patch('/ride/arrive/:rideId', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        const ride = await findDriverRide(req, res);
+        if (!ride) return;
+
+        const transition = await transitionRide(ride, 'DriverArrived', req.user, { set: { ArrivedTime: new Date() } });
+        if (!transition.ok) {
+            return res.status(transition.status).json({ message: transition.message });
+        }
+        res.status(200).json({ message: 'Arrival at pickup recorded', status: 'DriverArrived' });
+    } catch (error) {
+        console.error("Error marking driver arrival:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Start Ride
+// Endpoint: /ride/start/:rideId
+// Method: PATCH
+app.patch('/ride/start/:rideId', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        const ride = await findDriverRide(req, res);
+        if (!ride) return;
+
+        const transition = await transitionRide(ride, 'Started', req.user, { set: { StartTime: new Date() } });
+        if (!transition.ok) {
+            return res.status(transition.status).json({ message: transition.message });
+        }
+        res.status(200).json({ message: 'Ride started', status: 'Started' });
+    } catch (error) {
+        console.error("Error starting ride:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Complete Ride
+// Endpoint: /ride/complete/:rideId
+// Method: PATCH
+app.patch('/ride/complete/:rideId', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        const ride = await findDriverRide(req, res);
+        if (!ride) return;
+
+        const transition = await transitionRide(ride, 'Completed', req.user, { set: { CompletedTime: new Date() } });
+        if (!transition.ok) {
+            return res.status(transition.status).json({ message: transition.message });
+        }
+
+        // Trip is over, so the driver can take new rides
+        await db.collection('drivers').updateOne(
+            { _id: ride.driverId },
+            { $set: { Status: 'Available' } }
+        );
+        onRideCompleted(ride);
+        res.status(200).json({ message: 'Ride completed', status: 'Completed' });
+    } catch (error) {
+        console.error("Error completing ride:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Checks that the trip is under way and :stopIndex is the next stop still to be handled.
+// Sends the error response itself and returns the stop, or null when it cannot be confirmed.
+function findNextStop(ride, req, res) {
+    if (ride.Status !== 'Started') {
+        res.status(409).json({ message: 'Stops can only be confirmed while the ride is in progress.' });
+        return null;
+    }
+    const stops = ride.Stops || [];
+    const stop = stops[Number(req.params.stopIndex)];
+    if (!stop) {
+        res.status(404).json({ message: 'Stop not found on this ride.' });
+        return null;
+    }
+    if (stops.slice(0, stop.index).some(previous => previous.Status !== 'Departed')) {
+        res.status(409).json({ message: 'Earlier stops must be completed first.' });
+        return null;
+    }
+    return stop;
+}
+
+// Use Case: Arrive at Stop
+// Endpoint: /ride/:rideId/stops/:stopIndex/arrive
+// Method: PATCH
+app.patch('/ride/:rideId/stops/:stopIndex/arrive', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        const ride = await findDriverRide(req, res);
+        if (!ride) return;
+        const stop = findNextStop(ride, req, res);
+        if (!stop) return;
+
+        const arrivedAt = new Date();
+        const result = await db.collection('rides').updateOne(
+            { _id: ride._id, Status: 'Started', [`Stops.${stop.index}.Status`]: 'Pending' },
+            { $set: { [`Stops.${stop.index}.Status`]: 'Arrived', [`Stops.${stop.index}.ArrivedAt`]: arrivedAt } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ message: 'Arrival at this stop has already been recorded.' });
+        }
+
+        publishRideEvent(ride, 'ride.stop', { stopIndex: stop.index, name: stop.name, status: 'Arrived' });
+        res.status(200).json({ message: `Arrived at stop ${stop.index + 1}: ${stop.name}` });
+    } catch (error) {
+        console.error("Error recording stop arrival:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Depart from Stop
+// Endpoint: /ride/:rideId/stops/:stopIndex/depart
+// Method: PATCH
+app.patch('/ride/:rideId/stops/:stopIndex/depart', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        const ride = await findDriverRide(req, res);
+        if (!ride) return;
+        const stop = findNextStop(ride, req, res);
+        if (!stop) return;
+        if (stop.Status !== 'Arrived') {
+            return res.status(409).json({ message: 'Record arrival at this stop before departing.' });
+        }
+
+        // Waiting beyond the free minutes is added to the fare
+        const departedAt = new Date();
+        const { waitingMinutes, waitingCharge } = calculateWaitingCharge(ride.FareBreakdown, stop.ArrivedAt, departedAt);
+        const result = await db.collection('rides').updateOne(
+            { _id: ride._id, Status: 'Started', [`Stops.${stop.index}.Status`]: 'Arrived' },
+            {
+                $set: {
+                    [`Stops.${stop.index}.Status`]: 'Departed',
+                    [`Stops.${stop.index}.DepartedAt`]: departedAt,
+                    [`Stops.${stop.index}.waitingMinutes`]: waitingMinutes,
+                    [`Stops.${stop.index}.waitingCharge`]: waitingCharge,
+                    Fare: roundMoney(ride.Fare + waitingCharge),
+                    'FareBreakdown.waitingCharge': roundMoney((ride.FareBreakdown.waitingCharge || 0) + waitingCharge),
+                    'FareBreakdown.total': roundMoney(ride.FareBreakdown.total + waitingCharge)
+                }
+            }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ message: 'Departure from this stop has already been recorded.' });
+        }
+
+        publishRideEvent(ride, 'ride.stop', { stopIndex: stop.index, name: stop.name, status: 'Departed', waitingCharge });
+        res.status(200).json({ message: `Departed stop ${stop.index + 1}: ${stop.name}`, waitingMinutes, waitingCharge });
+    } catch (error) {
+        console.error("Error recording stop departure:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Cancel Ride (Driver)
+// Endpoint: /driver/cancel-ride/:rideId
+// Method: PATCH
+app.patch('/driver/cancel-ride/:rideId', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        const rideId = req.params.rideId;
+        const driverId = req.user.id; // Driver ID from authenticated user
+
+        const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
+
+        if (!ride) {
+            return res.status(404).json({ message: 'Ride not found.' });
+        }
+
+        // Data Ownership Check: Ensure the driver attempting to cancel is the one assigned to the ride.
+        // A driver who has only been offered the ride should decline it instead.
+        if (!canAccess(req, 'ride:drive', ownsRecord('driverId'), ride)) {
+             return res.status(403).json({ message: 'You are not authorized to cancel this ride.' });
+        }
+        
+        // Customers are never charged when the driver cancels
+        const transition = await transitionRide(ride, 'Cancelled', req.user, {
+            set: { CancelledBy: 'driver', CancellationFee: 0 }
+        });
+        if (!transition.ok) {
+            return res.status(transition.status).json({ message: transition.message });
+        }
+
+        await releaseCancelledRideHold(ride);
+        await releaseRidePromo(ride);
+
+        // Free the driver up again and count the cancellation towards their cancellation rate
+        await db.collection('drivers').updateOne(
+            { _id: new ObjectId(driverId) },
+            { $set: { Status: 'Available' }, $inc: { CancelledRides: 1 } }
+        );
+        res.status(200).json({ message: 'Ride cancelled successfully by driver.', cancellationFee: 0 });
+    } catch (error) {
+        console.error("Error cancelling ride by driver:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Update Driver Availability
+// Endpoint: /driver/:driverId/availability (changed from /driver/:driverId to differentiate from profile update)
+// Method: PATCH
+app.patch('/driver/:driverId/availability', authenticateToken, authorizeScoped('driver:status', isSelf('driverId')), async (req, res) => {
+    try {
+        const driverId = req.params.driverId;
+
+        const { status } = req.body; // e.g., 'Available', 'Offline', 'On Trip'
+
+        if (!status || !['Available', 'Offline', 'On Trip'].includes(status)) {
+            return res.status(400).json({ message: 'Invalid status provided. Must be Available, Offline, or On Trip.' });
+        }
+
+        // Drivers can only take rides once verified, with every onboarding document approved and in date
+        if (status === 'Available') {
+            if (!await requireVerifiedAccount(req, res, 'go Available')) return;
+            const { cleared, outstanding } = await syncDriverDocumentClearance(new ObjectId(driverId));
+            if (!cleared) {
+                return res.status(403).json({
+                    message: 'You cannot go Available until all your documents are approved and in date.',
+                    outstandingDocuments: outstanding
+                });
+            }
+        }
+
+        const result = await db.collection('drivers').updateOne(
+            { _id: new ObjectId(driverId) },
+            { $set: { Status: status } }
+        );
+        if (result.matchedCount > 0) {
+            res.status(200).json({ message: `Driver availability updated to ${status}` });
+        } else {
+            res.status(404).json({ message: 'Driver not found' });
+        }
+    } catch (error) {
+        console.error("Error updating driver availability:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Update Driver Location
+// Endpoint: /driver/:driverId/location
+// Method: PATCH
+app.patch('/driver/:driverId/location', authenticateToken, authorizeScoped('driver:status', isSelf('driverId')), async (req, res) => {
+    try {
+        const driverId = req.params.driverId;
+
+        const { lat, lng } = req.body || {};
+        const location = resolveLocation({ lat, lng });
+        if (lat == null || lng == null || !location) {
+            return res.status(400).json({ message: 'Valid lat and lng are required.' });
+        }
+
+        const result = await db.collection('drivers').updateOne(
+            { _id: new ObjectId(driverId) },
+            { $set: { Location: toGeoPoint(location), LocationUpdatedAt: new Date() } }
+        );
+        if (result.matchedCount > 0) {
+            // Share the position with the customer of any ride this driver is currently serving
+            const activeRides = await db.collection('rides').find({
+                driverId: new ObjectId(driverId),
+                Status: { $in: ['Accepted', 'DriverArrived', 'Started'] }
+            }).project({ customerId: 1, driverId: 1 }).toArray();
+            for (const ride of activeRides) {
+                publishRideEvent(ride, 'driver.location', { lat: location.lat, lng: location.lng });
+            }
+            res.status(200).json({ message: 'Driver location updated' });
+        } else {
+            res.status(404).json({ message: 'Driver not found' });
+        }
+    } catch (error) {
+        console.error("Error updating driver location:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Driver Rating
+// Endpoint: /driver/rating/:driverId (changed from /rating/:driverId for consistency)
+// Method: GET
+app.get('/driver/rating/:driverId', authenticateToken, authorize('driver:rating:view'), async (req, res) => {
+    try {
+        const driverId = req.params.driverId;
+
+        // Optional: If you want to restrict drivers to only view their own rating
+        // if (req.user.role === 'driver' && req.user.id !== driverId) {
+        //     return res.status(403).json({ message: 'Access denied. You can only view your own rating.' });
+        // }
+
+        const driver = await db.collection('drivers').findOne({ _id: new ObjectId(driverId) }, { projection: { Rating: 1 } });
+        if (driver) {
+            res.status(200).json({ rating: driver.Rating || 0 });
+        } else {
+            res.status(404).json({ message: 'Driver not found' });
+        }
+    } catch (error) {
+        console.error("Error fetching driver rating:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Ride History (Driver)
+// Endpoint: /driver/rides
+// Method: GET
+app.get('/driver/rides', authenticateToken, authorize('ride:drive:own'), async (req, res) => {
+    try {
+        // Tips[] and TipTotal on each ride show what the customer tipped
+        const rides = await db.collection('rides')
+            .find({ driverId: new ObjectId(req.user.id) }, { projection: { currentOffer: 0, offers: 0, WalletHoldId: 0, QuoteId: 0 } })
+            .sort({ BookingTime: -1 })
+            .toArray();
+        res.status(200).json(rides);
+    } catch (error) {
+        console.error("Error fetching driver ride history:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Driver Earnings
+// Endpoint: /driver/earnings/:driverId (changed from /driver/earnings/:id)
+// Method: GET (totals from the earnings ledger)
+app.get('/driver/earnings/:driverId', authenticateToken, authorizeScoped('earnings:view', isSelf('driverId')), async (req, res) => {
+    try {
+        const driverId = req.params.driverId;
+
+        const driver = await db.collection('drivers').findOne({ _id: new ObjectId(driverId) }, { projection: { _id: 1 } });
+        if (!driver) {
+            return res.status(404).json({ message: 'Driver not found' });
+        }
+        const entries = await db.collection('driver_earnings').find({ driverId: driver._id }).toArray();
+        const totals = sumEarnings(entries);
+        res.status(200).json({
+            earnings: totals.net,
+            unpaid: sumEarnings(entries.filter(entry => !entry.payoutBatchId)).net,
+            paidOut: sumEarnings(entries.filter(entry => entry.payoutBatchId)).net,
+            totals
+        });
+    } catch (error) {
+        console.error("Error fetching driver earnings:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Driver Earnings Statement
+// Endpoint: /driver/earnings/:driverId/statement?period=daily|weekly&from=&to=&format=json|csv
+// Method: GET
+app.get('/driver/earnings/:driverId/statement', authenticateToken, authorizeScoped('earnings:view', isSelf('driverId')), async (req, res) => {
+    try {
+        const driverId = req.params.driverId;
+
+        const period = req.query.period || 'daily';
+        if (!['daily', 'weekly'].includes(period)) {
+            return res.status(400).json({ message: 'period must be daily or weekly.' });
+        }
+        const filter = { driverId: new ObjectId(driverId) };
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+        }
+        const entries = await db.collection('driver_earnings').find(filter).sort({ createdAt: 1 }).toArray();
+        const lines = buildEarningsStatement(entries, period);
+
+        if (req.query.format === 'csv') {
+            return sendCsv(res, `earnings-${driverId}-${period}.csv`, lines,
+                ['period', 'rides', ...EARNING_AMOUNT_FIELDS, 'unpaidNet']);
+        }
+        res.status(200).json({ driverId, period, commissionPercent: PLATFORM_COMMISSION_PERCENT, lines, totals: sumEarnings(entries) });
+    } catch (error) {
+        console.error("Error building earnings statement:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// --- Admin Use Cases ---
+
+// Staff accounts are created by staff holding role:manage. The only exception is the very first admin,
+// which bootstraps an empty deployment.
+async function authorizeStaffRegistration(req, res, next) {
+    try {
+        if (await db.collection('admins').countDocuments({}, { limit: 1 }) === 0) {
+            req.permissions = new Set(ROLE_PERMISSIONS.admin);
+            return next();
+        }
+    } catch (error) {
+        console.error("Error checking for existing admins:", error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+    authenticateToken(req, res, () => authorize('role:manage')(req, res, next));
+}
+
+// Use Case: Register Admin
+// Endpoint: /admin/register
+// Method: POST
+// Body: { username, email, password, roleKey? } - without roleKey the account gets the full admin role
+app.post('/admin/register', authorizeStaffRegistration, async (req, res) => {
+    try {
+        const { username, password, email, roleKey = null } = req.body || {};
+        if (!username || !email || !password) {
+            return res.status(400).json({ message: 'All fields are required for admin registration.' });
+        }
+
+        const role = roleKey === null ? null : await db.collection('roles').findOne({ Key: roleKey });
+        if (roleKey !== null && !role) {
+            return res.status(400).json({ message: 'Role not found.' });
+        }
+        const ungrantable = ungrantablePermissions(req, role ? role.Permissions : ROLE_PERMISSIONS.admin);
+        if (ungrantable.length > 0) {
+            return res.status(403).json({ message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}.` });
+        }
+
+        const adminsCollection = db.collection('admins');
+        const existingAdmin = await adminsCollection.findOne({ email });
+        if (existingAdmin) {
+            return res.status(409).json({ message: 'Admin with this email already exists.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const result = await adminsCollection.insertOne({
+            username,
+            password: hashedPassword,
+            email,
+            joined_date: new Date(),
+            role: 'admin',
+            RoleKey: roleKey
+        });
+        res.status(201).json({ message: 'Admin registered successfully', adminId: result.insertedId, roleKey });
+    } catch (err) {
+        console.error("Error registering admin:", err);
+        res.status(500).json({ error: "Server error during admin registration" });
+    }
+});
+
+// Use Case: Login Admin
+// Endpoint: /admin/login
+// Method: POST
+// Deprecated: use POST /auth/login. Kept for old clients; issues a normal session (access + refresh token).
+app.post('/admin/login', loginRateLimit('admin.login'), async (req, res) => {
+    try {
+        await legacyLogin('admin', req, res, 'Admin login successful');
+    } catch (error) {
+        console.error("Error logging in admin:", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Fetch All Users (Customers & Drivers)
+// Endpoint: /admin/users
+// Method: GET
+app.get('/admin/users', authenticateToken, authorize('user:view'), async (req, res) => {
+    try {
+        const customers = await db.collection('customers').find({}).project({ password: 0 }).toArray(); // Exclude passwords
+        const drivers = await db.collection('drivers').find({}).project({ password: 0 }).toArray(); // Exclude passwords
+        res.status(200).json({ customers, drivers });
+    } catch (error) {
+        console.error("Error fetching all users (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Collection for the user types admins can block, unblock and suspend, or null
+function moderatedCollection(type) {
+    return ['customer', 'driver'].includes(type) ? db.collection(USER_COLLECTIONS[type]) : null;
+}
+
+// Appends to the per-user history of block, unblock and suspension actions
+async function recordAccountAction(type, userId, action, reason, admin, extra = {}) {
+    await db.collection('account_actions').insertOne({
+        userType: type,
+        userId,
+        action, // Block, Unblock, Suspend
+        reason,
+        ...extra,
+        by: admin.id,
+        at: new Date()
+    });
+}
+
+// Use Case: Block Users (Customer or Driver)
+// Endpoint: /admin/block/:type/:id
+// Method: PATCH
+// Body: { reason } (required)
+app.patch('/admin/block/:type/:id', authenticateToken, authorize('user:block'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { type, id } = req.params; // type can be 'customer' or 'driver'
+        const collection = moderatedCollection(type);
+        if (!collection) {
+            return res.status(400).json({ message: 'Invalid user type. Must be "customer" or "driver".' });
+        }
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid user ID.' });
+        }
+        const reason = body.reason && String(body.reason).trim();
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required to block a user.' });
+        }
+
+        const userId = new ObjectId(id);
+        const result = await collection.updateOne(
+            { _id: userId },
+            { $set: { IsBlocked: true, Status: 'Blocked', BlockReason: reason, BlockedAt: new Date() } } // Add a 'IsBlocked' flag
+        );
+        if (result.matchedCount > 0) {
+            await recordAccountAction(type, userId, 'Block', reason, req.user);
+            // Log them out everywhere; refreshing is refused while blocked anyway
+            await revokeAuthSessions({ userId, role: type }, 'Blocked');
+            closeEventStreams(userId, 'Blocked');
+            res.status(200).json({ message: `${type} with ID ${id} blocked successfully.` });
+        } else {
+            res.status(404).json({ message: `${type} not found.` });
+        }
+    } catch (error) {
+        console.error("Error blocking user (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Unblock Users (Customer or Driver)
+// Endpoint: /admin/unblock/:type/:id
+// Method: PATCH
+// Body: { reason } (required) - also lifts any timed suspension
+app.patch('/admin/unblock/:type/:id', authenticateToken, authorize('user:block'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { type, id } = req.params;
+        const collection = moderatedCollection(type);
+        if (!collection) {
+            return res.status(400).json({ message: 'Invalid user type. Must be "customer" or "driver".' });
+        }
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid user ID.' });
+        }
+        const reason = body.reason && String(body.reason).trim();
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required to unblock a user.' });
+        }
+
+        const userId = new ObjectId(id);
+        // Drivers come back Offline and go Available themselves; customers had no Status before being blocked
+        const update = {
+            $set: { IsBlocked: false, SuspendedUntil: null, ...(type === 'driver' ? { Status: 'Offline' } : {}) },
+            $unset: { BlockReason: '', BlockedAt: '', SuspensionReason: '', ...(type === 'customer' ? { Status: '' } : {}) }
+        };
+        const account = await collection.findOneAndUpdate({ _id: userId }, update, { returnDocument: 'before' });
+        if (!account) {
+            return res.status(404).json({ message: `${type} not found.` });
+        }
+        if (!account.IsBlocked && !(account.SuspendedUntil > new Date())) {
+            return res.status(200).json({ message: `${type} with ID ${id} was not blocked or suspended.` });
+        }
+        await recordAccountAction(type, userId, 'Unblock', reason, req.user);
+        res.status(200).json({ message: `${type} with ID ${id} unblocked successfully.` });
+    } catch (error) {
+        console.error("Error unblocking user (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Suspend Users (Customer or Driver) for a time
+// Endpoint: /admin/suspend/:type/:id
+// Method: PATCH
+// Body: { reason (required), hours or until } - access returns automatically when the suspension ends
+app.patch('/admin/suspend/:type/:id', authenticateToken, authorize('user:block'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { type, id } = req.params;
+        const collection = moderatedCollection(type);
+        if (!collection) {
+            return res.status(400).json({ message: 'Invalid user type. Must be "customer" or "driver".' });
+        }
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid user ID.' });
+        }
+        const reason = body.reason && String(body.reason).trim();
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required to suspend a user.' });
+        }
+        const until = body.until
+            ? new Date(body.until)
+            : new Date(Date.now() + Number(body.hours) * 60 * 60 * 1000);
+        if (isNaN(until.getTime()) || until <= new Date()) {
+            return res.status(400).json({ message: 'Provide hours (a positive number) or until (a future date).' });
+        }
+
+        const userId = new ObjectId(id);
+        const set = { SuspendedUntil: until, SuspensionReason: reason };
+        if (type === 'driver') {
+            set.Status = 'Offline';
+        }
+        const result = await collection.updateOne({ _id: userId }, { $set: set });
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ message: `${type} not found.` });
+        }
+        await recordAccountAction(type, userId, 'Suspend', reason, req.user, { until });
+        await revokeAuthSessions({ userId, role: type }, 'Suspended');
+        closeEventStreams(userId, 'Suspended');
+        res.status(200).json({ message: `${type} with ID ${id} suspended until ${until.toISOString()}.`, suspendedUntil: until });
+    } catch (error) {
+        console.error("Error suspending user (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Block History
+// Endpoint: /admin/block-history/:type/:id
+// Method: GET
+app.get('/admin/block-history/:type/:id', authenticateToken, authorize('user:view'), async (req, res) => {
+    try {
+        const { type, id } = req.params;
+        const collection = moderatedCollection(type);
+        if (!collection) {
+            return res.status(400).json({ message: 'Invalid user type. Must be "customer" or "driver".' });
+        }
+        const userId = new ObjectId(id);
+        const account = await collection.findOne(
+            { _id: userId },
+            { projection: { IsBlocked: 1, BlockReason: 1, SuspendedUntil: 1, SuspensionReason: 1 } }
+        );
+        if (!account) {
+            return res.status(404).json({ message: `${type} not found.` });
+        }
+        const history = await db.collection('account_actions')
+            .find({ userType: type, userId })
+            .sort({ at: -1 })
+            .toArray();
+        res.status(200).json({ current: accountRestriction(account), history });
+    } catch (error) {
+        console.error("Error fetching block history (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: View Driver Cancellation Rates
+// Endpoint: /admin/drivers/cancellation-rates
+// Method: GET
+app.get('/admin/drivers/cancellation-rates', authenticateToken, authorize('report:view'), async (req, res) => {
+    try {
+        const drivers = await db.collection('drivers')
+            .find({})
+            .project({ username: 1, email: 1, AcceptedRides: 1, CancelledRides: 1 })
+            .toArray();
+        const rates = drivers
+            .map(driver => ({
+                driverId: driver._id,
+                username: driver.username,
+                email: driver.email,
+                acceptedRides: driver.AcceptedRides || 0,
+                cancelledRides: driver.CancelledRides || 0,
+                cancellationRate: driverCancellationRate(driver)
+            }))
+            .sort((a, b) => b.cancellationRate - a.cancellationRate);
+        res.status(200).json(rates);
+    } catch (error) {
+        console.error("Error fetching driver cancellation rates (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Generate Reports
+// Endpoint: /admin/reports
+// Method: GET
+app.get('/admin/reports', authenticateToken, authorize('report:view'), async (req, res) => {
+    try {
+        // Aggregate total rides and total payments per month
+        const monthlyReports = await db.collection('rides').aggregate([
+            {
+                $match: {
+                    Status: 'Completed' // Only count completed rides for reports
+                }
+            },
+            {
+                $group: {
+                    _id: {
+                        month: { $month: "$BookingTime" },
+                        year: { $year: "$BookingTime" }
+                    },
+                    Total_Rides: { $sum: 1 },
+                    Total_Payments_Made: { $sum: "$Fare" },
+                    // Rides booked before surge pricing have no surgeCharge and count entirely as base revenue
+                    Surge_Revenue: { $sum: { $ifNull: ["$FareBreakdown.surgeCharge", 0] } },
+                    Surged_Rides: { $sum: { $cond: [{ $gt: [{ $ifNull: ["$SurgeMultiplier", 1] }, 1] }, 1, 0] } }
+                }
+            },
+            {
+                $sort: { "_id.year": 1, "_id.month": 1 }
+            }
+        ]).toArray();
+
+        // Convert month numbers to names for better readability
+        const formattedReports = monthlyReports.map(report => {
+            const date = new Date(report._id.year, report._id.month - 1); // Month is 0-indexed in JS Date
+            const monthName = date.toLocaleString('default', { month: 'long' });
+            return {
+                Month: `${monthName} ${report._id.year}`,
+                Total_Rides: report.Total_Rides,
+                Total_Payments_Made: report.Total_Payments_Made.toFixed(2),
+                Base_Revenue: (report.Total_Payments_Made - report.Surge_Revenue).toFixed(2),
+                Surge_Revenue: report.Surge_Revenue.toFixed(2),
+                Surged_Rides: report.Surged_Rides
+            };
+        });
+
+        res.status(200).json(formattedReports);
+    } catch (error) {
+        console.error("Error generating reports (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Create Tariff
+// Endpoint: /admin/tariffs
+// Method: POST
+app.post('/admin/tariffs', authenticateToken, authorize('tariff:manage'), async (req, res) => {
+    try {
+        const { error, tariff } = parseTariffInput(req.body || {}, false);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const now = new Date();
+        const newTariff = { calculator: 'standard', active: false, ...tariff, createdAt: now, updatedAt: now };
+        // Only one tariff prices rides at a time
+        if (newTariff.active) {
+            await db.collection('tariffs').updateMany({ active: true }, { $set: { active: false, updatedAt: now } });
+        }
+        const result = await db.collection('tariffs').insertOne(newTariff);
+        res.status(201).json({ message: 'Tariff created successfully', tariffId: result.insertedId });
+    } catch (error) {
+        console.error("Error creating tariff (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: List Tariffs
+// Endpoint: /admin/tariffs
+// Method: GET
+app.get('/admin/tariffs', authenticateToken, authorize('tariff:manage'), async (req, res) => {
+    try {
+        const tariffs = await db.collection('tariffs').find({}).sort({ updatedAt: -1 }).toArray();
+        res.status(200).json({ tariffs, default: DEFAULT_TARIFF });
+    } catch (error) {
+        console.error("Error fetching tariffs (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Use Case: Update Tariff
+// Endpoint: /admin/tariffs/:tariffId
+// Method: PATCH
+app.patch('/admin/tariffs/:tariffId', authenticateToken, authorize('tariff:manage'), async (req, res) => {
     try {
-        const { username, password, email, phone_no } = req.body;
-        if (!username || !email || !password || !phone_no) {
-            return res.status(400).json({ message: 'All fields are required for registration.' });
+        const tariffId = req.params.tariffId;
+        const { error, tariff } = parseTariffInput(req.body || {}, true);
+        if (error) {
+            return res.status(400).json({ message: error });
         }
 
-        const customersCollection = db.collection('customers');
-        const existingCustomer = await db.collection('customers').findOne({ email });
-        if (existingCustomer) {
-            return res.status(409).json({ message: 'Customer with this email already exists.' });
+        const now = new Date();
+        if (tariff.active) {
+            await db.collection('tariffs').updateMany(
+                { active: true, _id: { $ne: new ObjectId(tariffId) } },
+                { $set: { active: false, updatedAt: now } }
+            );
         }
+        const result = await db.collection('tariffs').updateOne(
+            { _id: new ObjectId(tariffId) },
+            { $set: { ...tariff, updatedAt: now } }
+        );
+        if (result.matchedCount > 0) {
+            res.status(200).json({ message: 'Tariff updated successfully' });
+        } else {
+            res.status(404).json({ message: 'Tariff not found' });
+        }
+    } catch (error) {
+        console.error("Error updating tariff (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        // Hash the password before storing
-        const hashedPassword = await bcrypt.hash(password, 10); // 10 is the salt rounds
-
-        const result = await customersCollection.insertOne({
-            username,
-            password: hashedPassword, // Store hashed password
-            email,
-            phone_no,
-            joined_date: new Date(),
-            role: 'customer' // Assign role
-        });
-        res.status(201).json({ message: 'Registration successful', customerId: result.insertedId });
-    } catch (err) {
-        console.error("Error registering customer:", err);
-        res.status(400).json({ error: "Invalid registration data" });
+// Use Case: Wallet Reconciliation
+// Endpoint: /admin/wallets/reconciliation
+// Method: GET
+app.get('/admin/wallets/reconciliation', authenticateToken, authorize('report:view'), async (req, res) => {
+    try {
+        const { checkedCustomers, mismatches } = await reconcileWallets();
+        res.status(200).json({ balanced: mismatches.length === 0, checkedCustomers, mismatches });
+    } catch (error) {
+        console.error("Error reconciling wallets (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Login
-// Endpoint: /customer/login
+// Use Case: List Disputes
+// Endpoint: /admin/disputes?status=
 // Method: GET
-app.get('/customer/login', async (req, res) => {
+app.get('/admin/disputes', authenticateToken, authorize('dispute:view:any'), async (req, res) => {
     try {
-        const { email, password } = req.body;
-        const customer = await db.collection('customers').findOne({ email });
-        
-        if (!customer) {
-            return res.status(401).json({ message: 'Invalid email or password.' });
-        }
+        const filter = req.query.status ? { Status: req.query.status } : {};
+        const disputes = await db.collection('disputes').find(filter).sort({ createdAt: 1 }).toArray();
+        res.status(200).json(disputes);
+    } catch (error) {
+        console.error("Error fetching disputes (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        // Compare provided password with stored hashed password
-        const isPasswordValid = await bcrypt.compare(password, customer.password);
-        if (!isPasswordValid) {
-            return res.status(401).json({ message: 'Invalid email or password.' });
+// Use Case: Review Dispute
+// Endpoint: /admin/disputes/:disputeId
+// Method: GET (dispute with the ride's status history and every payment on the ride)
+app.get('/admin/disputes/:disputeId', authenticateToken, authorize('dispute:view:any'), async (req, res) => {
+    try {
+        const dispute = await db.collection('disputes').findOne({ _id: new ObjectId(req.params.disputeId) });
+        if (!dispute) {
+            return res.status(404).json({ message: 'Dispute not found.' });
         }
-
-        // Generate JWT upon successful login
-        const token = jwt.sign(
-            { id: customer._id.toString(), role: customer.role }, // Ensure id is string
-            JWT_SECRET,
-            { expiresIn: '1h' } // Token expires in 1 hour
-        );
-        res.status(200).json({ message: 'Login successful', token, customerId: customer._id, role: customer.role });
-    } catch (err) {
-        console.error("Error during login:", err);
-        res.status(500).json({ error: "Login failed" });
+        const ride = await db.collection('rides').findOne({ _id: dispute.rideId });
+        const payments = await db.collection('payments').find({ rideId: dispute.rideId }).sort({ Payment_Time: 1 }).toArray();
+        res.status(200).json({ dispute, ride, statusHistory: ride ? ride.statusHistory || [] : [], payments });
+    } catch (error) {
+        console.error("Error reviewing dispute (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Manage Profile (Update Profile)
-// Endpoint: /customer/:customerId
+// Use Case: Update Dispute Status
+// Endpoint: /admin/disputes/:disputeId/status
 // Method: PATCH
-app.patch('/customer/:customerId', authenticateToken, authorizeRoles(['customer', 'admin']), async (req, res) => {
+// Body: { status: 'UnderReview' | 'Rejected', comment }
+app.patch('/admin/disputes/:disputeId/status', authenticateToken, authorize('dispute:resolve'), async (req, res) => {
     try {
-        const customerId = req.params.customerId;
-
-        // Data Ownership Check: Customer can only update their own profile, unless they are an admin
-        if (req.user.role === 'customer' && req.user.id !== customerId) {
-            return res.status(403).json({ message: 'Access denied. You can only update your own profile.' });
+        const { status, comment } = req.body || {};
+        if (!['UnderReview', 'Rejected'].includes(status)) {
+            return res.status(400).json({ message: 'Status must be UnderReview or Rejected. Use the refund endpoint to resolve with a refund.' });
         }
-
-        const updateData = req.body;
-        // Prevent direct updates to _id, joined_date, role, and password (password handled separately)
-        delete updateData._id; 
-        delete updateData.joined_date;
-        delete updateData.role; 
-        if (updateData.password) {
-            updateData.password = await bcrypt.hash(updateData.password, 10); // Re-hash new password if provided
+        if (status === 'Rejected' && !comment) {
+            return res.status(400).json({ message: 'A comment explaining the rejection is required.' });
         }
 
-        const result = await db.collection('customers').updateOne(
-            { _id: new ObjectId(customerId) },
-            { $set: updateData }
+        const update = { $set: { Status: status, updatedAt: new Date() } };
+        if (status === 'Rejected') {
+            update.$set.resolution = { type: 'Rejected', by: req.user.id, at: new Date() };
+        }
+        if (comment) {
+            update.$push = { comments: disputeComment(req.user, comment) };
+        }
+        const result = await db.collection('disputes').updateOne(
+            { _id: new ObjectId(req.params.disputeId), Status: { $in: ['Open', 'UnderReview'] } },
+            update
         );
-        if (result.matchedCount > 0) {
-            res.status(200).json({ message: 'Customer profile updated successfully' });
-        } else {
-            res.status(404).json({ message: 'Customer not found' });
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ message: 'Dispute not found or already closed.' });
         }
+        res.status(200).json({ message: `Dispute marked ${status}` });
     } catch (error) {
-        console.error("Error updating customer profile:", error);
+        console.error("Error updating dispute status (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Book Ride
-// Endpoint: /ride/book
+// Use Case: Refund Disputed Ride
+// Endpoint: /admin/disputes/:disputeId/refund
 // Method: POST
-app.post('/ride/book', authenticateToken, authorizeRoles(['customer']), async (req, res) => {
+// Body: { amount (optional, defaults to the full remaining amount), comment }
+app.post('/admin/disputes/:disputeId/refund', authenticateToken, authorize('dispute:refund'), async (req, res) => {
+    if (!ObjectId.isValid(req.params.disputeId)) {
+        return res.status(400).json({ message: 'A valid Dispute ID is required.' });
+    }
+    const disputeId = new ObjectId(req.params.disputeId);
+    let previousStatus = null;
     try {
-        // Customer ID is taken from the authenticated user's JWT
-        const customerId = req.user.id; 
-        const { PickupLocation, Destination } = req.body;
-        if (!PickupLocation || !Destination) {
-            return res.status(400).json({ message: 'Pickup Location and Destination are required.' });
+        const body = req.body || {};
+        const dispute = await db.collection('disputes').findOne({ _id: disputeId });
+        if (!dispute) {
+            return res.status(404).json({ message: 'Dispute not found.' });
+        }
+        const payment = await db.collection('payments').findOne({ _id: dispute.paymentId });
+        if (!payment || payment.Status !== 'Captured' || !PAYMENT_PROVIDERS[payment.Method]) {
+            return res.status(409).json({ message: 'The disputed payment cannot be refunded.' });
         }
 
-        // Simulate finding a driver and calculating fare (simplified)
-        const availableDriver = await db.collection('drivers').findOne({ Status: 'Available' });
-        if (!availableDriver) {
-            return res.status(503).json({ message: 'No drivers available at the moment.' });
+        const refundable = roundMoney(payment.Fare - (payment.RefundedAmount || 0));
+        const amount = body.amount === undefined ? refundable : roundMoney(Number(body.amount));
+        if (!Number.isFinite(amount) || amount <= 0 || amount > refundable) {
+            return res.status(400).json({ message: `Refund amount must be greater than 0 and at most RM${refundable.toFixed(2)}.` });
         }
 
-        const fare = Math.random() * 50 + 10; // Random fare for demonstration
+        // Claim the dispute so two admins cannot refund it at the same time
+        const claim = await db.collection('disputes').findOneAndUpdate(
+            { _id: disputeId, Status: { $in: ['Open', 'UnderReview'] } },
+            { $set: { Status: 'Refunding', updatedAt: new Date() } },
+            { returnDocument: 'before' }
+        );
+        if (!claim) {
+            return res.status(409).json({ message: 'Dispute is already closed or being refunded.' });
+        }
+        previousStatus = claim.Status;
 
-        const rideData = {
-            customerId: new ObjectId(customerId),
-            driverId: availableDriver._id,
-            PickupLocation,
-            Destination,
-            Status: 'Pending', // e.g., Pending, Accepted, Started, Completed, Cancelled
-            paymentStatus: 'Pending', // Initial payment status
-            Fare: fare.toFixed(2),
-            BookingTime: new Date()
-        };
-        const result = await db.collection('rides').insertOne(rideData);
+        const { refundId, fullyRefunded } = await refundPayment(payment, amount, req.user, disputeId);
 
-        // Update driver status to 'On Trip' (assuming they accept immediately)
-        await db.collection('drivers').updateOne(
-            { _id: availableDriver._id },
-            { $set: { Status: 'On Trip' } }
-        );
-        
-        res.status(201).json({ message: 'Ride booked successfully', rideId: result.insertedId, fare });
+        const resolutionType = fullyRefunded && amount === payment.Fare ? 'FullRefund' : 'PartialRefund';
+        const update = {
+            $set: {
+                Status: 'Resolved',
+                updatedAt: new Date(),
+                resolution: { type: resolutionType, amount, refundPaymentId: refundId, by: req.user.id, at: new Date() }
+            }
+        };
+        if (body.comment) {
+            update.$push = { comments: disputeComment(req.user, body.comment) };
+        }
+        await db.collection('disputes').updateOne({ _id: disputeId }, update);
+        res.status(200).json({ message: 'Refund issued', refundId, amount, resolution: resolutionType });
     } catch (error) {
-        console.error("Error booking ride:", error);
+        if (previousStatus) {
+            // Reopen the dispute so the refund can be retried
+            await db.collection('disputes').updateOne({ _id: disputeId, Status: 'Refunding' }, { $set: { Status: previousStatus } })
+                .catch(err => console.error("Error reopening dispute:", err));
+        }
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error("Error refunding dispute (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Cancel Ride
-// Endpoint: /ride/cancel/:rideId
-// Method: PATCH
-app.patch('/ride/cancel/:rideId', authenticateToken, authorizeRoles(['customer']), async (req, res) => {
-    try {
-        const rideId = req.params.rideId;
-        const customerId = req.user.id; // Customer ID from authenticated user
-
-        const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
 
-        if (!ride) {
-            return res.status(404).json({ message: 'Ride not found.' });
+// Use Case: Adjust Driver Earnings (admin)
+// Endpoint: /admin/drivers/:driverId/earnings/adjustments
+// Method: POST
+// Body: { amount (positive credits, negative deducts), reason, rideId (optional) }
+app.post('/admin/drivers/:driverId/earnings/adjustments', authenticateToken, authorize('earnings:adjust'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const amount = roundMoney(Number(body.amount));
+        if (!Number.isFinite(amount) || amount === 0) {
+            return res.status(400).json({ message: 'amount must be a non-zero number.' });
         }
-        
-        // Data Ownership Check: Ensure customer is cancelling their own ride
-        if (ride.customerId.toString() !== customerId) {
-            return res.status(403).json({ message: 'Access denied. You can only cancel your own rides.' });
+        if (!body.reason || !String(body.reason).trim()) {
+            return res.status(400).json({ message: 'A reason is required for earnings adjustments.' });
         }
+        const driver = await db.collection('drivers').findOne({ _id: new ObjectId(req.params.driverId) }, { projection: { _id: 1 } });
+        if (!driver) {
+            return res.status(404).json({ message: 'Driver not found' });
+        }
+
+        const entry = await recordDriverEarning(driver._id, 'Adjustment', { adjustment: amount }, {
+            rideId: body.rideId ? new ObjectId(body.rideId) : null,
+            reason: String(body.reason).trim(),
+            adjustedBy: req.user.id
+        });
+        res.status(201).json({ message: 'Adjustment recorded', entryId: entry._id, net: entry.net });
+    } catch (error) {
+        console.error("Error recording earnings adjustment (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        if (ride.Status === 'Completed' || ride.Status === 'Cancelled') {
-            return res.status(400).json({ message: 'Cannot cancel a completed or already cancelled ride.' });
+// Use Case: Run Driver Payout Batch (admin)
+// Endpoint: /admin/payouts
+// Method: POST
+// Body: { before (optional, only entries created before this time; defaults to now) }
+// Every driver whose unpaid entries add up to a positive amount is paid out; their entries are marked with the batch id.
+app.post('/admin/payouts', authenticateToken, authorize('payout:manage'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const cutoff = body.before ? new Date(body.before) : new Date();
+        if (isNaN(cutoff.getTime())) {
+            return res.status(400).json({ message: 'before must be a valid date.' });
         }
 
-        const result = await db.collection('rides').updateOne(
-            { _id: new ObjectId(rideId) },
-            { $set: { Status: 'Cancelled' } }
-        );
+        const batch = await runTransaction(async (session) => {
+            const entries = await db.collection('driver_earnings')
+                .find({ payoutBatchId: null, createdAt: { $lt: cutoff } }, { session })
+                .toArray();
+            const byDriver = new Map();
+            for (const entry of entries) {
+                const key = entry.driverId.toString();
+                if (!byDriver.has(key)) {
+                    byDriver.set(key, []);
+                }
+                byDriver.get(key).push(entry);
+            }
 
-        // Optionally, update driver status back to 'Available' if the ride was accepted
-        if (ride.Status === 'Accepted' || ride.Status === 'Pending' && ride.driverId) {
-             await db.collection('drivers').updateOne(
-                { _id: ride.driverId },
-                { $set: { Status: 'Available' } }
+            const batchId = new ObjectId();
+            const payouts = [];
+            const entryIds = [];
+            for (const driverEntries of byDriver.values()) {
+                const net = sumEarnings(driverEntries).net;
+                // Drivers owing money after refunds carry the balance into the next batch
+                if (net <= 0) continue;
+                payouts.push({ driverId: driverEntries[0].driverId, entries: driverEntries.length, amount: net });
+                entryIds.push(...driverEntries.map(entry => entry._id));
+            }
+            if (payouts.length === 0) {
+                return null;
+            }
+
+            const paidOutAt = new Date();
+            const claimed = await db.collection('driver_earnings').updateMany(
+                { _id: { $in: entryIds }, payoutBatchId: null },
+                { $set: { payoutBatchId: batchId, paidOutAt } },
+                { session }
             );
+            if (claimed.modifiedCount !== entryIds.length) {
+                throw paymentConflict('Earnings were paid out by another request.');
+            }
+            const doc = {
+                _id: batchId,
+                cutoff,
+                payouts,
+                total: roundMoney(payouts.reduce((sum, payout) => sum + payout.amount, 0)),
+                createdBy: req.user.id,
+                createdAt: paidOutAt
+            };
+            await db.collection('payout_batches').insertOne(doc, { session });
+            return doc;
+        });
+
+        if (!batch) {
+            return res.status(200).json({ message: 'No unpaid earnings to pay out.' });
         }
+        for (const payout of batch.payouts) {
+            publishEvent([payout.driverId], 'earnings.paid_out', { batchId: batch._id, amount: payout.amount });
+        }
+        res.status(201).json({ message: 'Payout batch created', batchId: batch._id, drivers: batch.payouts.length, total: batch.total });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error("Error running payout batch (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        res.status(200).json({ message: 'Ride cancelled successfully' });
+// Use Case: List Payout Batches (admin)
+// Endpoint: /admin/payouts
+// Method: GET
+app.get('/admin/payouts', authenticateToken, authorize('payout:manage'), async (req, res) => {
+    try {
+        const batches = await db.collection('payout_batches')
+            .find({}, { projection: { payouts: 0 } })
+            .sort({ createdAt: -1 })
+            .toArray();
+        res.status(200).json(batches);
     } catch (error) {
-        console.error("Error cancelling ride:", error);
+        console.error("Error fetching payout batches (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: View Ride History (Customer)
-// Endpoint: /customer/rides
-// Method: GET (Changed endpoint to be more generic for customer's own rides)
-app.get('/customer/rides', authenticateToken, authorizeRoles(['customer']), async (req, res) => {
+// Use Case: View Payout Batch (admin)
+// Endpoint: /admin/payouts/:batchId?format=json|csv
+// Method: GET
+app.get('/admin/payouts/:batchId', authenticateToken, authorize('payout:manage'), async (req, res) => {
     try {
-        const customerId = req.user.id; // Customer ID from authenticated user
-        const rides = await db.collection('rides').find({ customerId: new ObjectId(customerId) }).toArray();
-        res.status(200).json(rides);
+        const batch = await db.collection('payout_batches').findOne({ _id: new ObjectId(req.params.batchId) });
+        if (!batch) {
+            return res.status(404).json({ message: 'Payout batch not found.' });
+        }
+        if (req.query.format === 'csv') {
+            return sendCsv(res, `payout-${batch._id}.csv`, batch.payouts, ['driverId', 'entries', 'amount']);
+        }
+        res.status(200).json(batch);
     } catch (error) {
-        console.error("Error fetching customer ride history:", error);
+        console.error("Error fetching payout batch (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Give Rating
-// Endpoint: /rating
+// Use Case: Create Promo Code (admin)
+// Endpoint: /admin/promos
 // Method: POST
-app.post('/rating', authenticateToken, authorizeRoles(['customer']), async (req, res) => {
+// Body: { code, type: 'percent' | 'fixed', value, maxDiscount, minimumFare, maxRedemptions, perUserLimit,
+//         expiresAt, firstRideOnly, active } (only code, type and value are required)
+app.post('/admin/promos', authenticateToken, authorize('promo:manage'), async (req, res) => {
     try {
-        const customerId = req.user.id; // Customer ID from authenticated user
-        const { driverId, rideId, rating } = req.body; // driverId and rideId should be provided by frontend
-        if (!driverId || !rideId || !rating) {
-            return res.status(400).json({ message: 'Driver ID, Ride ID, and Rating are required.' });
+        const { error, promo } = parsePromoInput(req.body || {}, false);
+        if (error) {
+            return res.status(400).json({ message: error });
         }
-        if (rating < 1 || rating > 5) {
-            return res.status(400).json({ message: 'Rating must be between 1 and 5.' });
+
+        const now = new Date();
+        const newPromo = {
+            MaxDiscount: null,
+            MinimumFare: null,
+            MaxRedemptions: null,
+            PerUserLimit: 1,
+            ExpiresAt: null,
+            FirstRideOnly: false,
+            Active: true,
+            ...promo,
+            Redemptions: 0,
+            createdBy: req.user.id,
+            createdAt: now,
+            updatedAt: now
+        };
+        const result = await db.collection('promo_codes').insertOne(newPromo);
+        res.status(201).json({ message: 'Promo code created successfully', promoId: result.insertedId, code: newPromo.Code });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A promo code with this code already exists.' });
         }
+        console.error("Error creating promo code (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        const result = await db.collection('ratings').insertOne({
-            customerId: new ObjectId(customerId),
-            driverId: new ObjectId(driverId),
-            rideId: new ObjectId(rideId),
-            rating,
-            timestamp: new Date()
-        });
+// Use Case: List Promo Codes (admin)
+// Endpoint: /admin/promos
+// Method: GET
+app.get('/admin/promos', authenticateToken, authorize('promo:manage'), async (req, res) => {
+    try {
+        const promos = await db.collection('promo_codes').find({}).sort({ createdAt: -1 }).toArray();
+        res.status(200).json(promos);
+    } catch (error) {
+        console.error("Error fetching promo codes (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        // Update driver's average rating (simplified)
-        const driverRatings = await db.collection('ratings').find({ driverId: new ObjectId(driverId) }).toArray();
-        const totalRating = driverRatings.reduce((sum, r) => sum + r.rating, 0);
-        const averageRating = totalRating / driverRatings.length;
+// Use Case: Update Promo Code (admin)
+// Endpoint: /admin/promos/:promoId
+// Method: PATCH (same fields as create, all optional; set active: false to withdraw a code)
+app.patch('/admin/promos/:promoId', authenticateToken, authorize('promo:manage'), async (req, res) => {
+    try {
+        const { error, promo } = parsePromoInput(req.body || {}, true);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        const existing = await db.collection('promo_codes').findOne({ _id: new ObjectId(req.params.promoId) });
+        if (!existing) {
+            return res.status(404).json({ message: 'Promo code not found' });
+        }
+        const type = promo.Type || existing.Type;
+        const value = promo.Value !== undefined ? promo.Value : existing.Value;
+        if (type === 'percent' && value > 100) {
+            return res.status(400).json({ message: 'value must be at most 100 for percent codes.' });
+        }
 
-        await db.collection('drivers').updateOne(
-            { _id: new ObjectId(driverId) },
-            { $set: { Rating: averageRating.toFixed(2) } }
+        await db.collection('promo_codes').updateOne(
+            { _id: existing._id },
+            { $set: { ...promo, updatedAt: new Date() } }
         );
-
-        res.status(201).json({ message: 'Rating submitted successfully', ratingId: result.insertedId });
+        res.status(200).json({ message: 'Promo code updated successfully' });
     } catch (error) {
-        console.error("Error submitting rating:", error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A promo code with this code already exists.' });
+        }
+        console.error("Error updating promo code (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Make Payment
-// Endpoint: /payment
-// Method: POST
-app.post('/payment', authenticateToken, authorizeRoles(['customer']), async (req, res) => {
+// Use Case: View Promo Code Redemptions (admin)
+// Endpoint: /admin/promos/:promoId/redemptions
+// Method: GET
+app.get('/admin/promos/:promoId/redemptions', authenticateToken, authorize('promo:manage'), async (req, res) => {
     try {
-        // Customer ID from authenticated user
-        const customerId = req.user.id; 
-        const { rideId, amount, driverId } = req.body;
-        if (!rideId || !amount || !driverId) {
-            return res.status(400).json({ message: 'Ride ID, Amount, and Driver ID are required for payment.' });
-        }
+        const redemptions = await db.collection('promo_redemptions')
+            .find({ promoId: new ObjectId(req.params.promoId) })
+            .sort({ createdAt: -1 })
+            .toArray();
+        res.status(200).json(redemptions);
+    } catch (error) {
+        console.error("Error fetching promo redemptions (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        const result = await db.collection('payments').insertOne({
-            rideId: new ObjectId(rideId),
-            Fare: amount,
-            driverId: new ObjectId(driverId),
-            Payment_Time: new Date(),
-            Status: 'Completed' 
-        });
+// Use Case: View Surge Pricing (admin)
+// Endpoint: /admin/surge
+// Method: GET (settings plus the multiplier currently applied in each zone with activity)
+app.get('/admin/surge', authenticateToken, authorize('surge:manage'), async (req, res) => {
+    try {
+        const zones = [...surgeZones.entries()].map(([zone, stats]) => ({ zone, ...stats }));
+        zones.sort((a, b) => b.multiplier - a.multiplier);
+        res.status(200).json({ settings: surgeSettings, refreshedAt: surgeRefreshedAt, zoneSizeDegrees: SURGE_ZONE_SIZE_DEGREES, zones });
+    } catch (error) {
+        console.error("Error fetching surge pricing (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        // Update ride status to completed, link payment, and set paymentStatus
-        await db.collection('rides').updateOne(
-            { _id: new ObjectId(rideId) },
-            { $set: { Status: 'Completed', paymentId: result.insertedId, paymentStatus: 'Paid' } }
-        );
+// Use Case: Configure Surge Pricing (admin)
+// Endpoint: /admin/surge
+// Method: PATCH
+// Body: { enabled, maxMultiplier (the ceiling, at least 1) }
+app.patch('/admin/surge', authenticateToken, authorize('surge:manage'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const update = {};
+        if (body.enabled !== undefined) {
+            update.enabled = Boolean(body.enabled);
+        }
+        if (body.maxMultiplier !== undefined) {
+            const maxMultiplier = Number(body.maxMultiplier);
+            if (!Number.isFinite(maxMultiplier) || maxMultiplier < 1) {
+                return res.status(400).json({ message: 'maxMultiplier must be a number of at least 1.' });
+            }
+            update.maxMultiplier = maxMultiplier;
+        }
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({ message: 'Provide enabled and/or maxMultiplier.' });
+        }
 
-        // Update driver earnings
-        await db.collection('drivers').updateOne(
-            { _id: new ObjectId(driverId) },
-            { $inc: { Earnings: amount } } // Increment earnings
+        await db.collection('settings').updateOne(
+            { _id: 'surge' },
+            { $set: { ...update, updatedBy: req.user.id, updatedAt: new Date() } },
+            { upsert: true }
         );
-
-        res.status(201).json({ message: 'Payment processed successfully', paymentId: result.insertedId });
+        // Apply the new ceiling straight away rather than at the next refresh
+        await refreshSurgeMultipliers();
+        res.status(200).json({ message: 'Surge settings updated', settings: surgeSettings });
     } catch (error) {
-        console.error("Error processing payment:", error);
+        console.error("Error updating surge settings (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// --- Driver Use Cases ---
-
-// Use Case: Register
-// Endpoint: /driver/register
+// Use Case: Create Service Zone (admin)
+// Endpoint: /admin/zones
 // Method: POST
-app.post('/driver/register', async (req, res) => {
+// Body: { name, area (GeoJSON Polygon or MultiPolygon), tariffId, airportSurcharge, priority, active }
+app.post('/admin/zones', authenticateToken, authorize('zone:manage'), async (req, res) => {
     try {
-        const { username, email, phone_no, car_model, password } = req.body;
-        if (!username || !email || !phone_no || !car_model || !password) {
-            return res.status(400).json({ message: 'All fields are required for driver registration.' });
+        const { error, zone } = parseZoneInput(req.body || {}, false);
+        if (error) {
+            return res.status(400).json({ message: error });
         }
-
-        const driversCollection = db.collection('drivers');
-        const existingDriver = await driversCollection.findOne({ email });
-        if (existingDriver) {
-            return res.status(409).json({ message: 'Driver with this email already exists.' });
+        if (zone.tariffId && !await db.collection('tariffs').findOne({ _id: zone.tariffId }, { projection: { _id: 1 } })) {
+            return res.status(400).json({ message: 'Tariff not found.' });
         }
 
-        // Hash the password before storing
-        const hashedPassword = await bcrypt.hash(password, 10);
-
-        const result = await driversCollection.insertOne({
-            username,
-            email,
-            phone_no,
-            car_model,
-            password: hashedPassword, // Store hashed password
-            joined_date: new Date(),
-            Status: 'Available', // Available, On Trip, Offline
-            Earnings: 0,
-            role: 'driver' // Assign role
+        const now = new Date();
+        const result = await db.collection('service_zones').insertOne({
+            tariffId: null,
+            AirportSurcharge: 0,
+            Priority: 0,
+            Active: true,
+            ...zone,
+            createdAt: now,
+            updatedAt: now
         });
-        res.status(201).json({ message: 'Driver registered successfully', driverId: result.insertedId });
+        res.status(201).json({ message: 'Service zone created successfully', zoneId: result.insertedId });
     } catch (error) {
-        console.error("Error registering driver:", error);
+        // 16755: MongoDB could not index the polygon (self-intersecting, unclosed ring, etc.)
+        if (error.code === 16755) {
+            return res.status(400).json({ message: 'area is not a valid GeoJSON polygon.' });
+        }
+        console.error("Error creating service zone (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Login
-// Endpoint: /driver/login
+// Use Case: List Service Zones (admin)
+// Endpoint: /admin/zones
 // Method: GET
-app.get('/driver/login', async (req, res) => {
+app.get('/admin/zones', authenticateToken, authorize('zone:manage'), async (req, res) => {
     try {
-        const { email, password } = req.body;
-        const driver = await db.collection('drivers').findOne({ email, password }); // Hashed password check in real app
-        if (!driver) {
-            return res.status(401).json({ message: 'Invalid email or password.' });
-        }
+        const zones = await db.collection('service_zones').find({}).sort({ Priority: -1, Name: 1 }).toArray();
+        res.status(200).json(zones);
+    } catch (error) {
+        console.error("Error fetching service zones (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        // Compare provided password with stored hashed password
-        const isPasswordValid = await bcrypt.compare(password, driver.password);
-        if (!isPasswordValid) {
-            return res.status(401).json({ message: 'Invalid email or password.' });
+// Use Case: Update Service Zone (admin)
+// Endpoint: /admin/zones/:zoneId
+// Method: PATCH (same fields as create, all optional; set active: false to stop taking pickups there)
+app.patch('/admin/zones/:zoneId', authenticateToken, authorize('zone:manage'), async (req, res) => {
+    try {
+        const { error, zone } = parseZoneInput(req.body || {}, true);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (zone.tariffId && !await db.collection('tariffs').findOne({ _id: zone.tariffId }, { projection: { _id: 1 } })) {
+            return res.status(400).json({ message: 'Tariff not found.' });
         }
 
-        // Generate JWT upon successful login
-        const token = jwt.sign(
-            { id: driver._id.toString(), role: driver.role }, // Ensure id is string
-            JWT_SECRET,
-            { expiresIn: '1h' }
+        const result = await db.collection('service_zones').updateOne(
+            { _id: new ObjectId(req.params.zoneId) },
+            { $set: { ...zone, updatedAt: new Date() } }
         );
-        res.status(200).json({ message: 'Driver login successful', token, driverId: driver._id, role: driver.role });
+        if (result.matchedCount > 0) {
+            res.status(200).json({ message: 'Service zone updated successfully' });
+        } else {
+            res.status(404).json({ message: 'Service zone not found' });
+        }
     } catch (error) {
-        console.error("Error logging in driver:", error);
+        if (error.code === 16755) {
+            return res.status(400).json({ message: 'area is not a valid GeoJSON polygon.' });
+        }
+        console.error("Error updating service zone (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Manage Profile (Update Profile)
-// Endpoint: /driver/:driverId
-// Method: PATCH
-app.patch('/driver/:driverId', authenticateToken, authorizeRoles(['driver', 'admin']), async (req, res) => {
+// Use Case: Approve Driver Service Zones (admin)
+// Endpoint: /admin/drivers/:driverId/zones
+// Method: PUT
+// Body: { zoneIds } - replaces the zones the driver may be dispatched in
+app.put('/admin/drivers/:driverId/zones', authenticateToken, authorize('zone:manage'), async (req, res) => {
     try {
-        const driverId = req.params.driverId;
-
-        // Data Ownership Check: Driver can only update their own profile, unless they are an admin
-        if (req.user.role === 'driver' && req.user.id !== driverId) {
-            return res.status(403).json({ message: 'Access denied. You can only update your own profile.' });
+        const { zoneIds } = req.body || {};
+        if (!Array.isArray(zoneIds) || !zoneIds.every(id => ObjectId.isValid(id))) {
+            return res.status(400).json({ message: 'zoneIds must be an array of service zone IDs.' });
         }
-
-        const updateData = req.body;
-        // Prevent direct updates to _id, joined_date, role, and password (password handled separately)
-        delete updateData._id; 
-        delete updateData.joined_date;
-        delete updateData.role; 
-        if (updateData.password) {
-            updateData.password = await bcrypt.hash(updateData.password, 10); // Re-hash new password if provided
+        const ids = [...new Set(zoneIds)].map(id => new ObjectId(id));
+        const found = await db.collection('service_zones').countDocuments({ _id: { $in: ids } });
+        if (found !== ids.length) {
+            return res.status(400).json({ message: 'One or more service zones were not found.' });
         }
 
         const result = await db.collection('drivers').updateOne(
-            { _id: new ObjectId(driverId) },
-            { $set: updateData }
+            { _id: new ObjectId(req.params.driverId) },
+            { $set: { ApprovedZoneIds: ids } }
         );
         if (result.matchedCount > 0) {
-            res.status(200).json({ message: 'Driver profile updated successfully' });
+            res.status(200).json({ message: 'Driver service zones updated', zoneIds: ids });
         } else {
             res.status(404).json({ message: 'Driver not found' });
         }
     } catch (error) {
-        console.error("Error updating driver profile:", error);
+        console.error("Error updating driver service zones (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Accept Ride
-// Endpoint: /ride/accept/:rideId
-// Method: PATCH
-app.patch('/ride/accept/:rideId', authenticateToken, authorizeRoles(['driver']), async (req, res) => {
+// Use Case: Create Vehicle Category (admin)
+// Endpoint: /admin/vehicle-categories
+// Method: POST
+// Body: { code, name, capacity, maxVehicleAgeYears, tariffId, active }
+app.post('/admin/vehicle-categories', authenticateToken, authorize('vehicle:manage'), async (req, res) => {
     try {
-        const rideId = req.params.rideId;
-        const driverId = req.user.id; // Driver ID from authenticated user
-
-        const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
-        if (!ride) {
-            return res.status(404).json({ message: 'Ride not found.' });
+        const { error, category } = parseVehicleCategoryInput(req.body || {}, false);
+        if (error) {
+            return res.status(400).json({ message: error });
         }
-        if (ride.Status !== 'Pending') {
-            return res.status(400).json({ message: 'Ride is not in a pending state and cannot be accepted.' });
+        if (category.tariffId && !await db.collection('tariffs').findOne({ _id: category.tariffId }, { projection: { _id: 1 } })) {
+            return res.status(400).json({ message: 'Tariff not found.' });
         }
 
-        // Check if the driver is already 'On Trip' and prevent them from accepting another ride
-        const currentDriver = await db.collection('drivers').findOne({ _id: new ObjectId(driverId) });
-        if (currentDriver && currentDriver.Status === 'On Trip') {
-            return res.status(400).json({ message: 'You are currently on a trip and cannot accept new rides.' });
+        const now = new Date();
+        const result = await db.collection('vehicle_categories').insertOne({
+            MaxVehicleAgeYears: null,
+            tariffId: null,
+            Active: true,
+            ...category,
+            createdAt: now,
+            updatedAt: now
+        });
+        res.status(201).json({ message: 'Vehicle category created successfully', categoryId: result.insertedId });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A vehicle category with this code already exists.' });
         }
+        console.error("Error creating vehicle category (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-
-        const result = await db.collection('rides').updateOne(
-            { _id: new ObjectId(rideId), Status: 'Pending' }, // Ensure only pending rides are accepted
-            { $set: { Status: 'Accepted', driverId: new ObjectId(driverId) } }
-        );
-
-        if (result.matchedCount > 0) {
-            // Update driver status
-            await db.collection('drivers').updateOne(
-                { _id: new ObjectId(driverId) },
-                { $set: { Status: 'On Trip' } }
-            );
-            res.status(200).json({ message: 'Ride accepted successfully' });
-        } else {
-            res.status(400).json({ message: 'Ride could not be accepted (already accepted or not pending).' });
-        }
+// Use Case: List Vehicle Categories (admin)
+// Endpoint: /admin/vehicle-categories
+// Method: GET
+app.get('/admin/vehicle-categories', authenticateToken, authorize('vehicle:manage'), async (req, res) => {
+    try {
+        const categories = await db.collection('vehicle_categories').find({}).sort({ Capacity: 1, Name: 1 }).toArray();
+        res.status(200).json(categories);
     } catch (error) {
-        console.error("Error accepting ride:", error);
+        console.error("Error fetching vehicle categories (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Cancel Ride (Driver)
-// Endpoint: /driver/cancel-ride/:rideId
-// Method: PATCH
-app.patch('/driver/cancel-ride/:rideId', authenticateToken, authorizeRoles(['driver']), async (req, res) => {
+// Use Case: Update Vehicle Category (admin)
+// Endpoint: /admin/vehicle-categories/:categoryId
+// Method: PATCH (same fields as create, all optional). Tighter eligibility rules apply to vehicles approved from then on.
+app.patch('/admin/vehicle-categories/:categoryId', authenticateToken, authorize('vehicle:manage'), async (req, res) => {
     try {
-        const rideId = req.params.rideId;
-        const driverId = req.user.id; // Driver ID from authenticated user
-
-        const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
-
-        if (!ride) {
-            return res.status(404).json({ message: 'Ride not found.' });
-        }
-
-        // Data Ownership Check: Ensure the driver attempting to cancel is the one assigned to the ride
-        if (ride.driverId && ride.driverId.toString() !== driverId) {
-             return res.status(403).json({ message: 'You are not authorized to cancel this ride.' });
+        const { error, category } = parseVehicleCategoryInput(req.body || {}, true);
+        if (error) {
+            return res.status(400).json({ message: error });
         }
-        
-        if (ride.Status === 'Completed' || ride.Status === 'Cancelled') {
-            return res.status(400).json({ message: 'Ride is already completed or cancelled and cannot be cancelled again.' });
+        if (category.tariffId && !await db.collection('tariffs').findOne({ _id: category.tariffId }, { projection: { _id: 1 } })) {
+            return res.status(400).json({ message: 'Tariff not found.' });
         }
 
-        const result = await db.collection('rides').updateOne(
-            { _id: new ObjectId(rideId) },
-            { $set: { Status: 'Cancelled' } }
+        const result = await db.collection('vehicle_categories').updateOne(
+            { _id: new ObjectId(req.params.categoryId) },
+            { $set: { ...category, updatedAt: new Date() } }
         );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ message: 'Vehicle category not found' });
+        }
+        // Keep the ride type shown on registered vehicles in step with a renamed code
+        if (category.Code) {
+            await db.collection('vehicles').updateMany(
+                { categoryId: new ObjectId(req.params.categoryId) },
+                { $set: { RideType: category.Code } }
+            );
+        }
+        res.status(200).json({ message: 'Vehicle category updated successfully' });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A vehicle category with this code already exists.' });
+        }
+        console.error("Error updating vehicle category (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        if (result.matchedCount > 0) {
-            // If the driver who cancelled was assigned, update their status back to 'Available'
-            if (ride.driverId && ride.driverId.toString() === driverId) {
-                await db.collection('drivers').updateOne(
-                    { _id: new ObjectId(driverId) },
-                    { $set: { Status: 'Available' } }
-                );
+// Use Case: List Vehicles (admin)
+// Endpoint: /admin/vehicles?status=PendingApproval|Approved|Rejected
+// Method: GET
+app.get('/admin/vehicles', authenticateToken, authorize('vehicle:manage'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) {
+            if (!VEHICLE_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ message: `status must be one of: ${VEHICLE_STATUSES.join(', ')}.` });
             }
-            res.status(200).json({ message: 'Ride cancelled successfully by driver.' });
-        } else {
-            res.status(400).json({ message: 'Failed to cancel ride.' });
+            filter.Status = req.query.status;
         }
+        const vehicles = await db.collection('vehicles').find(filter).sort({ createdAt: 1 }).toArray();
+        res.status(200).json(vehicles);
     } catch (error) {
-        console.error("Error cancelling ride by driver:", error);
+        console.error("Error fetching vehicles (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Update Driver Availability
-// Endpoint: /driver/:driverId/availability (changed from /driver/:driverId to differentiate from profile update)
+// Use Case: Approve or Reject Vehicle (admin)
+// Endpoint: /admin/vehicles/:vehicleId/status
 // Method: PATCH
-app.patch('/driver/:driverId/availability', authenticateToken, authorizeRoles(['driver']), async (req, res) => {
+// Body: { status: 'Approved' | 'Rejected', reason (required when rejecting) }
+app.patch('/admin/vehicles/:vehicleId/status', authenticateToken, authorize('vehicle:manage'), async (req, res) => {
     try {
-        const driverId = req.params.driverId;
-
-        // Data Ownership Check: Driver can only update their own availability
-        if (req.user.id !== driverId) {
-            return res.status(403).json({ message: 'Access denied. You can only update your own availability.' });
+        const { status, reason } = req.body || {};
+        if (!['Approved', 'Rejected'].includes(status)) {
+            return res.status(400).json({ message: 'status must be Approved or Rejected.' });
         }
-
-        const { status } = req.body; // e.g., 'Available', 'Offline', 'On Trip'
-
-        if (!status || !['Available', 'Offline', 'On Trip'].includes(status)) {
-            return res.status(400).json({ message: 'Invalid status provided. Must be Available, Offline, or On Trip.' });
+        if (status === 'Rejected' && !reason) {
+            return res.status(400).json({ message: 'A reason is required when rejecting a vehicle.' });
+        }
+        const vehicle = await db.collection('vehicles').findOne({ _id: new ObjectId(req.params.vehicleId) });
+        if (!vehicle) {
+            return res.status(404).json({ message: 'Vehicle not found' });
+        }
+        if (status === 'Approved') {
+            const category = await db.collection('vehicle_categories').findOne({ _id: vehicle.categoryId });
+            const ineligible = category ? vehicleIneligibility(vehicle, category) : 'Vehicle category no longer exists.';
+            if (ineligible) {
+                return res.status(409).json({ message: ineligible });
+            }
         }
 
-        const result = await db.collection('drivers').updateOne(
-            { _id: new ObjectId(driverId) },
-            { $set: { Status: status } }
+        await db.collection('vehicles').updateOne(
+            { _id: vehicle._id },
+            { $set: { Status: status, ReviewReason: reason || null, reviewedBy: req.user.id, reviewedAt: new Date() } }
         );
-        if (result.matchedCount > 0) {
-            res.status(200).json({ message: `Driver availability updated to ${status}` });
-        } else {
-            res.status(404).json({ message: 'Driver not found' });
-        }
+        await syncDriverCategories(vehicle.driverId);
+        publishEvent([vehicle.driverId], 'vehicle.reviewed', { vehicleId: vehicle._id, status, reason: reason || null });
+        res.status(200).json({ message: `Vehicle ${status.toLowerCase()}`, vehicleId: vehicle._id, status });
     } catch (error) {
-        console.error("Error updating driver availability:", error);
+        console.error("Error reviewing vehicle (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: View Driver Rating
-// Endpoint: /driver/rating/:driverId (changed from /rating/:driverId for consistency)
+// Use Case: List Driver Documents (admin)
+// Endpoint: /admin/driver-documents?status=PendingReview|Approved|Rejected|Expired&driverId=
 // Method: GET
-app.get('/driver/rating/:driverId', authenticateToken, authorizeRoles(['customer', 'driver', 'admin']), async (req, res) => {
+app.get('/admin/driver-documents', authenticateToken, authorize('document:review'), async (req, res) => {
     try {
-        const driverId = req.params.driverId;
-
-        // Optional: If you want to restrict drivers to only view their own rating
-        // if (req.user.role === 'driver' && req.user.id !== driverId) {
-        //     return res.status(403).json({ message: 'Access denied. You can only view your own rating.' });
-        // }
-
-        const driver = await db.collection('drivers').findOne({ _id: new ObjectId(driverId) }, { projection: { Rating: 1 } });
-        if (driver) {
-            res.status(200).json({ rating: driver.Rating || 0 });
-        } else {
-            res.status(404).json({ message: 'Driver not found' });
-        }
+        const filter = {};
+        if (req.query.status) filter.Status = req.query.status;
+        if (req.query.driverId) filter.driverId = new ObjectId(req.query.driverId);
+        const documents = await db.collection('driver_documents')
+            .find(filter, { projection: { StorageKey: 0 } })
+            .sort({ uploadedAt: 1 })
+            .toArray();
+        res.status(200).json(documents);
     } catch (error) {
-        console.error("Error fetching driver rating:", error);
+        console.error("Error fetching driver documents (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: View Driver Earnings
-// Endpoint: /driver/earnings/:driverId (changed from /driver/earnings/:id)
-// Method: GET
-app.get('/driver/earnings/:driverId', authenticateToken, authorizeRoles(['driver', 'admin']), async (req, res) => {
+// Use Case: Review Driver Document (admin)
+// Endpoint: /admin/driver-documents/:documentId/status
+// Method: PATCH
+// Body: { status: 'Approved' | 'Rejected', reason (required when rejecting) }
+app.patch('/admin/driver-documents/:documentId/status', authenticateToken, authorize('document:review'), async (req, res) => {
     try {
-        const driverId = req.params.driverId;
+        const { status, reason } = req.body || {};
+        if (!['Approved', 'Rejected'].includes(status)) {
+            return res.status(400).json({ message: 'status must be Approved or Rejected.' });
+        }
+        if (status === 'Rejected' && !reason) {
+            return res.status(400).json({ message: 'A reason is required when rejecting a document.' });
+        }
+        const document = await db.collection('driver_documents').findOne({ _id: new ObjectId(req.params.documentId) });
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found.' });
+        }
+        if (status === 'Approved' && document.ExpiresAt <= new Date()) {
+            return res.status(409).json({ message: 'An expired document cannot be approved.' });
+        }
 
-        // Data Ownership Check: Driver can only view their own earnings, unless they are an admin
-        if (req.user.role === 'driver' && req.user.id !== driverId) {
-            return res.status(403).json({ message: 'Access denied. You can only view your own earnings.' });
+        // Only the upload that was reviewed is updated, not a replacement uploaded meanwhile
+        const result = await db.collection('driver_documents').updateOne(
+            { _id: document._id, StorageKey: document.StorageKey },
+            { $set: { Status: status, ReviewReason: reason || null, reviewedBy: req.user.id, reviewedAt: new Date(), updatedAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ message: 'The driver uploaded a new version of this document. Please review it again.' });
         }
 
-        const driver = await db.collection('drivers').findOne({ _id: new ObjectId(driverId) }, { projection: { Earnings: 1 } });
-        if (driver) {
-            res.status(200).json({ earnings: driver.Earnings || 0 });
-        } else {
-            res.status(404).json({ message: 'Driver not found' });
+        // Approving the last outstanding document lifts an expired-documents suspension
+        const { cleared } = await syncDriverDocumentClearance(document.driverId);
+        if (cleared) {
+            await db.collection('drivers').updateOne({ _id: document.driverId }, { $set: { DocumentSuspension: null } });
         }
+        publishEvent([document.driverId], 'driver.document_reviewed', {
+            documentId: document._id,
+            type: document.Type,
+            status,
+            reason: reason || null,
+            onboardingComplete: cleared
+        });
+        res.status(200).json({ message: `Document ${status.toLowerCase()}`, status, onboardingComplete: cleared });
     } catch (error) {
-        console.error("Error fetching driver earnings:", error);
+        console.error("Error reviewing driver document (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// --- Admin Use Cases ---
+// Use Case: Run Document Expiry Check (admin)
+// Endpoint: /admin/driver-documents/expiry-check
+// Method: POST (runs the daily suspension job now)
+app.post('/admin/driver-documents/expiry-check', authenticateToken, authorize('document:review'), async (req, res) => {
+    try {
+        const result = await suspendDriversWithExpiredDocuments();
+        res.status(200).json(result);
+    } catch (error) {
+        console.error("Error running document expiry check (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-// Use Case: Register Admin
-// Endpoint: /admin/register
-// Method: POST
-app.post('/admin/register', async (req, res) => {
+// Use Case: Revoke User Sessions (admin)
+// Endpoint: /admin/sessions/:type/:id
+// Method: DELETE (type: customer, driver or admin) - logs the user out everywhere
+app.delete('/admin/sessions/:type/:id', authenticateToken, authorize('user:sessions:revoke'), async (req, res) => {
     try {
-        const { username, password, email } = req.body;
-        if (!username || !email || !password) {
-            return res.status(400).json({ message: 'All fields are required for admin registration.' });
+        const { type, id } = req.params;
+        if (!USER_COLLECTIONS[type]) {
+            return res.status(400).json({ message: `Invalid user type. Must be one of: ${Object.keys(USER_COLLECTIONS).join(', ')}.` });
         }
-
-        const adminsCollection = db.collection('admins');
-        const existingAdmin = await adminsCollection.findOne({ email });
-        if (existingAdmin) {
-            return res.status(409).json({ message: 'Admin with this email already exists.' });
+        const user = await findUserAccount(type, new ObjectId(id));
+        if (!user) {
+            return res.status(404).json({ message: `${type} not found.` });
         }
-
-        const hashedPassword = await bcrypt.hash(password, 10);
-
-        const result = await adminsCollection.insertOne({
-            username,
-            password: hashedPassword,
-            email,
-            joined_date: new Date(),
-            role: 'admin'
-        });
-        res.status(201).json({ message: 'Admin registered successfully', adminId: result.insertedId });
-    } catch (err) {
-        console.error("Error registering admin:", err);
-        res.status(500).json({ error: "Server error during admin registration" });
+        const revoked = await revokeAuthSessions({ userId: user._id, role: type }, 'RevokedByAdmin');
+        res.status(200).json({ message: `Revoked ${revoked} session(s) for ${type} ${id}.`, revokedSessions: revoked });
+    } catch (error) {
+        console.error("Error revoking sessions (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Login Admin
-// Endpoint: /admin/login
-// Method: POST
-app.post('/admin/login', async (req, res) => {
+// Use Case: View Login Lockouts (admin)
+// Endpoint: /admin/lockouts
+// Method: GET (locked accounts, rate-limited IPs, and recent failed attempts for an email with ?email=)
+app.get('/admin/lockouts', authenticateToken, authorize('auth:lockout:manage'), async (req, res) => {
     try {
-        const { email, password } = req.body; 
+        const now = Date.now();
+        const accounts = (await rateLimitStore.list('login:account:'))
+            .filter(({ value }) => value.lockedUntil > now)
+            .map(({ key, value }) => ({
+                email: key.slice('login:account:'.length),
+                lockedUntil: new Date(value.lockedUntil),
+                lockouts: value.lockouts
+            }));
+        const ips = (await rateLimitStore.list('login:ip:'))
+            .filter(({ value }) => value.attempts > LOGIN_IP_MAX_ATTEMPTS)
+            .map(({ key, value }) => ({
+                ip: key.slice('login:ip:'.length),
+                attempts: value.attempts,
+                blockedUntil: new Date(value.windowStart + LOGIN_IP_WINDOW_SECONDS * 1000)
+            }));
 
-        const admin = await db.collection('admins').findOne({ email });
-        if (!admin) {
-            return res.status(401).json({ message: 'Invalid email or password.' });
+        const response = { accounts, ips };
+        if (req.query.email) {
+            response.recentAttempts = await db.collection('login_attempts')
+                .find({ email: String(req.query.email).trim().toLowerCase() })
+                .sort({ at: -1 })
+                .limit(50)
+                .toArray();
         }
+        res.status(200).json(response);
+    } catch (error) {
+        console.error("Error fetching lockouts (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        const isPasswordValid = await bcrypt.compare(password, admin.password);
-        if (!isPasswordValid) {
-            return res.status(401).json({ message: 'Invalid email or password.' });
+// Use Case: Clear Login Lockout (admin)
+// Endpoint: /admin/lockouts?email= or ?ip=
+// Method: DELETE
+app.delete('/admin/lockouts', authenticateToken, authorize('auth:lockout:manage'), async (req, res) => {
+    try {
+        const { email, ip } = req.query;
+        if (!email && !ip) {
+            return res.status(400).json({ message: 'Provide the email or ip to clear.' });
+        }
+        const cleared = [];
+        if (email && await rateLimitStore.delete(loginAccountKey(email))) {
+            cleared.push({ email: String(email).trim().toLowerCase() });
         }
+        if (ip && await rateLimitStore.delete(loginIpKey(ip))) {
+            cleared.push({ ip });
+        }
+        res.status(200).json({ message: cleared.length > 0 ? 'Lockout cleared' : 'No lockout found', cleared });
+    } catch (error) {
+        console.error("Error clearing lockout (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        // Generate JWT for admin
-        const token = jwt.sign({ id: admin._id.toString(), role: admin.role }, JWT_SECRET, { expiresIn: '1h' });
-        res.status(200).json({ message: 'Admin login successful', token, adminId: admin._id, role: admin.role });
+// Use Case: List Roles and Permissions (admin)
+// Endpoint: /admin/roles
+// Method: GET (the permission catalog, built-in roles and custom staff roles)
+app.get('/admin/roles', authenticateToken, authorize('role:manage'), async (req, res) => {
+    try {
+        const custom = await db.collection('roles').find().sort({ Name: 1 }).toArray();
+        const builtIn = Object.entries(ROLE_PERMISSIONS).map(([key, permissions]) => ({ Key: key, BuiltIn: true, Permissions: permissions }));
+        res.status(200).json({ permissions: PERMISSIONS, roles: [...builtIn, ...custom] });
     } catch (error) {
-        console.error("Error logging in admin:", error);
+        console.error("Error fetching roles (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Fetch All Users (Customers & Drivers)
-// Endpoint: /admin/users
-// Method: GET
-app.get('/admin/users', authenticateToken, authorizeRoles(['admin']), async (req, res) => {
+// Use Case: Create Staff Role (admin)
+// Endpoint: /admin/roles
+// Method: POST
+// Body: { name, key?, description?, permissions: [...] } - permissions must be a subset of the caller's own
+app.post('/admin/roles', authenticateToken, authorize('role:manage'), async (req, res) => {
     try {
-        const customers = await db.collection('customers').find({}).project({ password: 0 }).toArray(); // Exclude passwords
-        const drivers = await db.collection('drivers').find({}).project({ password: 0 }).toArray(); // Exclude passwords
-        res.status(200).json({ customers, drivers });
+        const { error, role } = parseRoleInput(req.body || {}, false);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        const ungrantable = ungrantablePermissions(req, role.Permissions);
+        if (ungrantable.length > 0) {
+            return res.status(403).json({ message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}.` });
+        }
+
+        const now = new Date();
+        await db.collection('roles').insertOne({
+            Description: null,
+            ...role,
+            createdBy: new ObjectId(req.user.id),
+            createdAt: now,
+            updatedAt: now
+        });
+        res.status(201).json({ message: 'Role created successfully', roleKey: role.Key });
     } catch (error) {
-        console.error("Error fetching all users (admin):", error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A role with this key already exists.' });
+        }
+        console.error("Error creating role (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Block Users (Customer or Driver)
-// Endpoint: /admin/block/:type/:id
-// Method: PATCH
-app.patch('/admin/block/:type/:id', authenticateToken, authorizeRoles(['admin']), async (req, res) => {
+// Use Case: Update Staff Role (admin)
+// Endpoint: /admin/roles/:roleKey
+// Method: PATCH (changes apply to assigned staff on their next request)
+app.patch('/admin/roles/:roleKey', authenticateToken, authorize('role:manage'), async (req, res) => {
     try {
-        const { type, id } = req.params; // type can be 'customer' or 'driver'
-        let collection;
-        if (type === 'customer') {
-            collection = db.collection('customers');
-        } else if (type === 'driver') {
-            collection = db.collection('drivers');
-        } else {
-            return res.status(400).json({ message: 'Invalid user type. Must be "customer" or "driver".' });
+        const { error, role } = parseRoleInput(req.body || {}, true);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (role.Permissions) {
+            const ungrantable = ungrantablePermissions(req, role.Permissions);
+            if (ungrantable.length > 0) {
+                return res.status(403).json({ message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}.` });
+            }
         }
 
-        const result = await collection.updateOne(
-            { _id: new ObjectId(id) },
-            { $set: { IsBlocked: true, Status: 'Blocked' } } // Add a 'IsBlocked' flag
+        const result = await db.collection('roles').updateOne(
+            { Key: req.params.roleKey },
+            { $set: { ...role, updatedAt: new Date() } }
         );
         if (result.matchedCount > 0) {
-            res.status(200).json({ message: `${type} with ID ${id} blocked successfully.` });
+            res.status(200).json({ message: 'Role updated successfully' });
         } else {
-            res.status(404).json({ message: `${type} not found.` });
+            res.status(404).json({ message: 'Role not found' });
         }
     } catch (error) {
-        console.error("Error blocking user (admin):", error);
+        console.error("Error updating role (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Use Case: Generate Reports
-// Endpoint: /admin/reports
-// Method: GET
-app.get('/admin/reports', authenticateToken, authorizeRoles(['admin']), async (req, res) => {
+// Use Case: Delete Staff Role (admin)
+// Endpoint: /admin/roles/:roleKey
+// Method: DELETE (only once no staff account is assigned to it)
+app.delete('/admin/roles/:roleKey', authenticateToken, authorize('role:manage'), async (req, res) => {
     try {
-        // Aggregate total rides and total payments per month
-        const monthlyReports = await db.collection('rides').aggregate([
-            {
-                $match: {
-                    Status: 'Completed' // Only count completed rides for reports
-                }
-            },
-            {
-                $group: {
-                    _id: {
-                        month: { $month: "$BookingTime" },
-                        year: { $year: "$BookingTime" }
-                    },
-                    Total_Rides: { $sum: 1 },
-                    Total_Payments_Made: { $sum: "$Fare" }
-                }
-            },
-            {
-                $sort: { "_id.year": 1, "_id.month": 1 }
-            }
-        ]).toArray();
+        const assigned = await db.collection('admins').countDocuments({ RoleKey: req.params.roleKey });
+        if (assigned > 0) {
+            return res.status(409).json({ message: `Role is assigned to ${assigned} staff account(s). Reassign them first.` });
+        }
+        const result = await db.collection('roles').deleteOne({ Key: req.params.roleKey });
+        if (result.deletedCount > 0) {
+            res.status(200).json({ message: 'Role deleted successfully' });
+        } else {
+            res.status(404).json({ message: 'Role not found' });
+        }
+    } catch (error) {
+        console.error("Error deleting role (admin):", error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-        // Convert month numbers to names for better readability
-        const formattedReports = monthlyReports.map(report => {
-            const date = new Date(report._id.year, report._id.month - 1); // Month is 0-indexed in JS Date
-            const monthName = date.toLocaleString('default', { month: 'long' });
-            return {
-                Month: `${monthName} ${report._id.year}`,
-                Total_Rides: report.Total_Rides,
-                Total_Payments_Made: report.Total_Payments_Made.toFixed(2)
-            };
-        });
+// Use Case: Assign Staff Role (admin)
+// Endpoint: /admin/staff/:adminId/role
+// Method: PUT
+// Body: { roleKey } - null restores the full built-in admin role
+app.put('/admin/staff/:adminId/role', authenticateToken, authorize('role:manage'), async (req, res) => {
+    try {
+        const adminId = req.params.adminId;
+        const { roleKey } = req.body || {};
+        if (roleKey === undefined) {
+            return res.status(400).json({ message: 'roleKey is required (null for the built-in admin role).' });
+        }
+        if (adminId === req.user.id) {
+            return res.status(400).json({ message: 'You cannot change your own role.' });
+        }
 
-        res.status(200).json(formattedReports);
+        if (!ObjectId.isValid(adminId)) {
+            return res.status(400).json({ message: 'Invalid staff account ID.' });
+        }
+        const target = await db.collection('admins').findOne({ _id: new ObjectId(adminId) }, { projection: { RoleKey: 1 } });
+        if (!target) {
+            return res.status(404).json({ message: 'Staff account not found' });
+        }
+        // Staff can only re-role accounts whose powers they fully hold, so nobody demotes a more senior admin
+        const outranked = ungrantablePermissions(req, [...await resolvePermissions('admin', target)]);
+        if (outranked.length > 0) {
+            return res.status(403).json({ message: `You cannot change the role of staff holding permissions you do not: ${outranked.join(', ')}.` });
+        }
+
+        const role = roleKey === null ? null : await db.collection('roles').findOne({ Key: roleKey });
+        if (roleKey !== null && !role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        const ungrantable = ungrantablePermissions(req, role ? role.Permissions : ROLE_PERMISSIONS.admin);
+        if (ungrantable.length > 0) {
+            return res.status(403).json({ message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}.` });
+        }
+
+        await db.collection('admins').updateOne(
+            { _id: target._id },
+            { $set: { RoleKey: roleKey, RoleAssignedBy: new ObjectId(req.user.id), RoleAssignedAt: new Date() } }
+        );
+        res.status(200).json({ message: 'Staff role updated successfully', roleKey });
     } catch (error) {
-        console.error("Error generating reports (admin):", error);
+        console.error("Error assigning staff role (admin):", error);
         res.status(500).json({ message: 'Internal server error' });
     }
-});
\ No newline at end of file
+});
+
+module.exports = {
+    app,
+    connectToMongoDB,
+    closeMongoDB,
+    runTransaction,
+    applyWalletEntries,
+    chargeCancellationFee,
+    collectCancellationFee
+};
@@ -0,0 +1,66 @@
+// Integration test for outstanding cancellation fees: fee -> collection -> driver credit.
+// Needs a MongoDB replica set (transactions): TEST_MONGO_URI=mongodb://localhost:27017/?replicaSet=rs0 npm test
+// Runs against a throwaway database that is dropped afterwards.
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const TEST_MONGO_URI = process.env.TEST_MONGO_URI;
+
+test('outstanding cancellation fee is collected through /payment logic and credits the driver', { skip: !TEST_MONGO_URI && 'TEST_MONGO_URI not set' }, async (t) => {
+    process.env.MONGO_URI = TEST_MONGO_URI;
+    process.env.MONGO_DB_NAME = `MyTaxiDB_test_${Date.now()}`;
+    const { connectToMongoDB, closeMongoDB, runTransaction, applyWalletEntries, chargeCancellationFee, collectCancellationFee } = require('../index.js');
+    await connectToMongoDB({ startJobs: false });
+
+    const { MongoClient } = require('mongodb');
+    const client = await MongoClient.connect(TEST_MONGO_URI);
+    const db = client.db(process.env.MONGO_DB_NAME);
+    t.after(async () => {
+        await db.dropDatabase();
+        await client.close();
+        await closeMongoDB();
+    });
+
+    const customerId = new ObjectId();
+    const driverId = new ObjectId();
+    await db.collection('customers').insertOne({ _id: customerId, email: 'fee@test.local', role: 'customer', WalletBalance: 0 });
+    await db.collection('drivers').insertOne({ _id: driverId, email: 'driver@test.local', role: 'driver', Status: 'Available' });
+    const ride = {
+        _id: new ObjectId(),
+        customerId,
+        driverId,
+        Status: 'Cancelled',
+        BookingTime: new Date(),
+        WalletHoldId: null // Not a wallet booking, so the fee cannot come out of a hold
+    };
+    await db.collection('rides').insertOne(ride);
+
+    // 1. Fee is charged with no hold: it stays outstanding and the driver is not credited yet
+    const { paymentId, status } = await chargeCancellationFee(ride, 5);
+    assert.strictEqual(status, 'Pending');
+    await db.collection('rides').updateOne({ _id: ride._id }, { $set: { CancellationFeePaymentId: paymentId } });
+    assert.strictEqual(await db.collection('driver_earnings').countDocuments({ driverId }), 0);
+
+    // 2. Customer tops up and pays the outstanding fee from the wallet
+    await runTransaction(session => applyWalletEntries(customerId, [{ Type: 'TopUp', Amount: 10 }], session));
+    const storedRide = await db.collection('rides').findOne({ _id: ride._id });
+    const collection = await collectCancellationFee(storedRide, { method: 'wallet' });
+    assert.strictEqual(collection.status, 201);
+    assert.strictEqual(collection.body.status, 'Captured');
+
+    // 3. The outstanding fee is settled, the wallet is debited and the driver gets their share
+    const outstanding = await db.collection('payments').findOne({ _id: paymentId });
+    assert.strictEqual(outstanding.Status, 'Settled');
+    assert.strictEqual(outstanding.SettledByPaymentId.toString(), collection.body.paymentId.toString());
+    const customer = await db.collection('customers').findOne({ _id: customerId });
+    assert.strictEqual(customer.WalletBalance, 5);
+    const earnings = await db.collection('driver_earnings').find({ driverId }).toArray();
+    assert.strictEqual(earnings.length, 1);
+    assert.strictEqual(earnings[0].Type, 'CancellationCompensation');
+    assert.strictEqual(earnings[0].net, 5); // Default CANCELLATION_DRIVER_SHARE is the whole fee
+
+    // 4. The fee cannot be collected twice
+    const again = await collectCancellationFee(storedRide, { method: 'wallet' });
+    assert.strictEqual(again.status, 409);
+});